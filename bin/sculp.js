@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+const { run } = require('../cli');
+
+const readStdin = () => new Promise((resolve, reject) => {
+  let raw = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (chunk) => { raw += chunk; });
+  process.stdin.on('end', () => resolve(raw));
+  process.stdin.on('error', reject);
+});
+
+run(process.argv.slice(2), {
+  cwd: process.cwd(),
+  readStdin,
+  stdin: process.stdin,
+  stdout: process.stdout,
+  stderr: process.stderr,
+}).then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  process.stderr.write(`${error.stack}\n`);
+  process.exitCode = 1;
+});
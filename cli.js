@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { SculpParser, ParseContext, Expressions } = require('./index');
+const { format, tree } = require('./format');
+const { Repl, start } = require('./repl');
+const { LanguageServer, listen } = require('./lsp');
+const { generators, toSource } = require('./grammars');
+
+const usage = `Usage: sculp <command> [options] [files...]
+
+Commands:
+  check    report the errors of the programs
+  fmt      format the programs
+  ast      print the syntax tree of the programs
+  print    print the programs as parsed, one line per statement
+  repl     parse the code entered interactively
+  lsp      run the language server over stdin and stdout
+  grammar  print a syntax-highlighting grammar with the configured procedures
+
+Files are read from stdin when none or - is given.
+
+Options:
+  --config <file>         JSON or JS file with the procedure signatures and match fields,
+                          sculp.config.js or sculp.config.json by default
+  --set <name>=<code>     insert the given SCULP code in the $name placeholders, fmt keeps
+                          the placeholders instead
+  --json                  ast: print the JSON representation
+  --format <format>       grammar: textmate (default), monarch, codemirror or prism
+  --write                 fmt: rewrite the files instead of printing them
+  --check                 fmt: only report the files that are not formatted
+  --indent <n>            fmt: spaces per indentation level
+  --max-width <n>         fmt: maximum line width
+  --keyword-case <case>   fmt: lower or upper
+  --break-parallel <mode> fmt: auto or always
+`;
+
+/**
+ * Error in the command line arguments
+ */
+class UsageError extends Error {}
+
+/**
+ * Input and output of the command line tool
+ * @typedef {Object} CommandIO
+ * @property {String} cwd directory where files are resolved
+ * @property {function(): Promise<String>} readStdin
+ * @property {stream.Readable=} stdin read by the repl and lsp commands
+ * @property {{write: function(String)}} stdout
+ * @property {{write: function(String)}} stderr
+ */
+
+/**
+ * Returns the class named by [type] in Expressions, [type] can also be the class itself or a list
+ * of them
+ * @param {String|Function|[String|Function]} type
+ * @param {String} file config file, used in error messages
+ * @returns {Function|[Function]}
+ * @throws {UsageError} if a type is unknown
+ */
+function resolveType(type, file) {
+  if (type instanceof Array) return type.map(item => resolveType(item, file));
+  if (typeof type === 'function') return type;
+  if (typeof type !== 'string' || !(Expressions[type] instanceof Function)) {
+    throw new UsageError(`Unknown type '${type}' in ${file}.`);
+  }
+  return Expressions[type];
+}
+
+/**
+ * Reads the config file given by [file] or the default one in [cwd]. Types of parameters and
+ * fields are given by the name of their class in Expressions, e.g.
+ * `{ "signatures": { "post": ["String", { "name": "to", "type": "Pattern", "default": "all" }] } }`
+ * @param {String=} file
+ * @param {String} cwd
+ * @returns {{signatures: Object, matchFields: Object=}}
+ * @throws {UsageError} if the config cannot be read
+ */
+function loadConfig(file, cwd) {
+  const candidates = file ? [file] : ['sculp.config.js', 'sculp.config.json'];
+  const found = candidates.map(candidate => path.resolve(cwd, candidate))
+    .find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    if (file) throw new UsageError(`Config file ${file} not found.`);
+    return { signatures: {} };
+  }
+  let config;
+  try {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    config = found.endsWith('.json') ? JSON.parse(fs.readFileSync(found, 'utf8')) : require(found);
+  } catch (error) {
+    throw new UsageError(`Invalid config file ${found}: ${error.message}`);
+  }
+  const name = path.relative(cwd, found);
+  const signatures = {};
+  Object.keys(config.signatures || {}).forEach((procedure) => {
+    signatures[procedure] = config.signatures[procedure].map(item =>
+      (item && typeof item === 'object' && !(item instanceof Array) ?
+        Object.assign({}, item, { type: resolveType(item.type, name) }) :
+        resolveType(item, name)));
+  });
+  let matchFields;
+  if (config.matchFields) {
+    matchFields = {};
+    Object.keys(config.matchFields).forEach((field) => {
+      const definition = Object.assign({}, config.matchFields[field]);
+      if (definition.type) definition.type = resolveType(definition.type, name);
+      matchFields[field] = definition;
+    });
+  }
+  return { signatures, matchFields };
+}
+
+/**
+ * Parses the command line [args]
+ * @param {[String]} args
+ * @returns {{command: String, files: [String], options: Object}}
+ * @throws {UsageError} if the arguments are not valid
+ */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  if (!['check', 'fmt', 'ast', 'print', 'repl', 'lsp', 'grammar'].includes(command)) {
+    throw new UsageError(command ? `Unknown command '${command}'.` : 'Missing command.');
+  }
+  const options = { sets: [], format: {}, grammar: 'textmate' };
+  const files = [];
+  const formatOptions = {
+    '--indent': ['indent', Number],
+    '--max-width': ['maxWidth', Number],
+    '--keyword-case': ['keywordCase', String],
+    '--break-parallel': ['breakParallel', String],
+  };
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    const value = () => {
+      i += 1;
+      if (i === rest.length) throw new UsageError(`Missing value of ${arg}.`);
+      return rest[i];
+    };
+    if (arg === '--config') {
+      options.config = value();
+    } else if (arg === '--set') {
+      const [, name, code] = /^([\w-]+)=([\s\S]*)$/.exec(value()) || [];
+      if (!name) throw new UsageError('Invalid --set, expecting <name>=<code>.');
+      options.sets.push([name, code]);
+    } else if (arg === '--format') {
+      options.grammar = value();
+      if (!generators[options.grammar]) throw new UsageError(`Unknown grammar format '${options.grammar}'.`);
+    } else if (arg === '--stdio') {
+      // the language server only runs over stdio, accepted for the clients passing it
+    } else if (['--json', '--write', '--check'].includes(arg)) {
+      options[arg.substring(2)] = true;
+    } else if (formatOptions[arg]) {
+      const [option, parse] = formatOptions[arg];
+      options.format[option] = parse(value());
+      if (Number.isNaN(options.format[option])) throw new UsageError(`Invalid value of ${arg}.`);
+    } else if (arg.startsWith('--')) {
+      throw new UsageError(`Unknown option '${arg}'.`);
+    } else {
+      files.push(arg);
+    }
+  }
+  if (command === 'fmt' && options.sets.length) {
+    throw new UsageError('Invalid --set, fmt keeps the placeholders of the programs.');
+  }
+  return { command, files: files.length ? files : ['-'], options };
+}
+
+/**
+ * Checks the given [raw] program without replacing its placeholders, so the formatter prints
+ * them back
+ * @param {SculpParser} parser
+ * @param {String} raw
+ * @returns {{result: Expressions.Program, diagnostics: [Diagnostic], source: Source}}
+ */
+function checkTemplate(parser, raw) {
+  const context = new ParseContext(parser, raw, { isRecovering: true, isCompilingTemplate: true });
+  const result = context.parseProgram();
+  return { result, diagnostics: context.diagnostics, source: context.source };
+}
+
+/**
+ * Runs the command line tool with the given [args]
+ * @param {[String]} args arguments after the name of the tool
+ * @param {CommandIO} io
+ * @returns {Promise<Number>} exit code: 0 on success, 1 if errors were found and 2 if the
+ * arguments are not valid or a file cannot be read, the other files being processed anyway
+ */
+async function run(args, io) {
+  let parsed;
+  let parser;
+  const inserts = {};
+  try {
+    parsed = parseArgs(args);
+    const { signatures, matchFields } = loadConfig(parsed.options.config, io.cwd);
+    parser = new SculpParser(signatures, { matchFields });
+    parsed.options.sets.forEach(([name, code]) => {
+      try {
+        inserts[name] = parser.parse(code);
+      } catch (error) {
+        throw new UsageError(`Invalid --set ${name}: ${error.description || error.message}`);
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof UsageError) && !(error instanceof TypeError)) throw error;
+    io.stderr.write(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+  const { command, files, options } = parsed;
+  if (command === 'repl') {
+    await start(new Repl(parser, inserts), { input: io.stdin, output: io.stdout });
+    return 0;
+  }
+  if (command === 'grammar') {
+    const grammar = generators[options.grammar](parser.tokenTable());
+    io.stdout.write(options.grammar === 'textmate' ? `${JSON.stringify(grammar, null, 2)}\n` :
+      `module.exports = ${toSource(grammar)};\n`);
+    return 0;
+  }
+  if (command === 'lsp') {
+    const server = await listen(send => new LanguageServer(parser, send), {
+      input: io.stdin,
+      output: io.stdout,
+    });
+    // exiting without a shutdown request first is an error of the client
+    return server.isShutdown ? 0 : 1;
+  }
+  let code = 0;
+  /* eslint-disable no-await-in-loop */
+  for (let i = 0; i < files.length; i += 1) {
+    const file = files[i];
+    const name = file === '-' ? '<stdin>' : file;
+    let raw;
+    try {
+      raw = file === '-' ? await io.readStdin() :
+        fs.readFileSync(path.resolve(io.cwd, file), 'utf8');
+    } catch (error) {
+      io.stderr.write(`${name}: cannot read (${error.code || error.message})\n`);
+      code = 2;
+      continue; // eslint-disable-line no-continue
+    }
+    const { result, diagnostics, source } = command === 'fmt' ? checkTemplate(parser, raw) :
+      parser.checkProgram(raw, inserts);
+    diagnostics.forEach(({ code: diagnosticCode, message, range }) => {
+      const { line, column } = range.start;
+      io.stderr.write(`${name}:${line}:${column}: error ${diagnosticCode}: ${message}\n`);
+      io.stderr.write(`${source.excerpt(range)}\n`);
+    });
+    if (diagnostics.length) {
+      code = Math.max(code, 1);
+    } else if (command === 'fmt') {
+      const formatted = `${format(result, options.format)}\n`;
+      if (options.check) {
+        if (formatted !== raw) {
+          io.stderr.write(`${name}: not formatted\n`);
+          code = Math.max(code, 1);
+        }
+      } else if (options.write && file !== '-') {
+        if (formatted !== raw) fs.writeFileSync(path.resolve(io.cwd, file), formatted);
+      } else {
+        io.stdout.write(formatted);
+      }
+    } else if (command === 'ast') {
+      io.stdout.write(options.json ? `${JSON.stringify(result, null, 2)}\n` : `${tree(result).join('\n')}\n`);
+    } else if (command === 'print') {
+      io.stdout.write(`${result}\n`);
+    }
+  }
+  /* eslint-enable no-await-in-loop */
+  return code;
+}
+
+module.exports = { run, loadConfig, parseArgs };
@@ -0,0 +1,147 @@
+/* global describe it expect beforeAll afterAll */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { run } = require('./cli');
+
+describe('The sculp command line tool', () => {
+  let cwd;
+
+  beforeAll(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'sculp-'));
+    fs.writeFileSync(path.join(cwd, 'sculp.config.json'), JSON.stringify({
+      signatures: { post: ['String'], rm: ['Pattern', 'Pattern', 'Pattern'], clock: [] },
+    }));
+    fs.writeFileSync(path.join(cwd, 'ok.sculp'), 'when  {usr:"frank"} do post("hi")\n');
+    fs.writeFileSync(path.join(cwd, 'bad.sculp'), 'skip ||\n  post(*)\n');
+  });
+
+  afterAll(() => {
+    fs.readdirSync(cwd).forEach(file => fs.unlinkSync(path.join(cwd, file)));
+    fs.rmdirSync(cwd);
+  });
+
+  const sculp = async (args, stdin = '') => {
+    const output = { stdout: '', stderr: '' };
+    const input = new PassThrough();
+    input.end(stdin);
+    const code = await run(args, {
+      cwd,
+      readStdin: () => Promise.resolve(stdin),
+      stdin: input,
+      stdout: { write: (text) => { output.stdout += text; } },
+      stderr: { write: (text) => { output.stderr += text; } },
+    });
+    return Object.assign(output, { code });
+  };
+
+  it('should report the errors of the programs with their location', async () => {
+    expect(await sculp(['check', 'ok.sculp'])).toEqual({ code: 0, stdout: '', stderr: '' });
+    const { code, stderr } = await sculp(['check', 'ok.sculp', 'bad.sculp']);
+    expect(code).toBe(1);
+    expect(stderr).toBe([
+      'bad.sculp:2:8: error type-mismatch: Parameter at position 0 of post must be of type String instead of Pattern.',
+      '2 |   post(*)',
+      '  |        ^',
+      '',
+    ].join('\n'));
+  });
+
+  it('should report the files that cannot be read and check the others', async () => {
+    expect(await sculp(['check', 'missing.sculp', 'bad.sculp'])).toEqual({
+      code: 2,
+      stdout: '',
+      stderr: expect.stringMatching(/^missing\.sculp: cannot read \(ENOENT\)\nbad\.sculp:2:8: error type-mismatch/),
+    });
+  });
+
+  it('should format programs', async () => {
+    expect((await sculp(['fmt', 'ok.sculp'])).stdout).toBe('when { usr: "frank" } do post("hi")\n');
+    expect((await sculp(['fmt', '--keyword-case', 'upper'], 'skip||clock')).stdout)
+      .toBe('(SKIP || clock)\n');
+    const { code, stderr } = await sculp(['fmt', '--check', 'ok.sculp']);
+    expect([code, stderr]).toEqual([1, 'ok.sculp: not formatted\n']);
+    await sculp(['fmt', '--write', 'ok.sculp']);
+    expect((await sculp(['fmt', '--check', 'ok.sculp'])).code).toBe(0);
+  });
+
+  it('should format programs with placeholders', async () => {
+    fs.writeFileSync(path.join(cwd, 'template.sculp'), 'when  {usr:$who} do post("hi ${name}")\n$p\n'); // eslint-disable-line no-template-curly-in-string
+    await sculp(['fmt', '--write', 'template.sculp']);
+    expect(fs.readFileSync(path.join(cwd, 'template.sculp'), 'utf8'))
+      .toBe('when { usr: $who } do post("hi ${name}")\n$p\n'); // eslint-disable-line no-template-curly-in-string
+    const { code, stderr } = await sculp(['fmt', '--set', 'p=clock', '--write', 'template.sculp']);
+    expect(code).toBe(2);
+    expect(stderr).toMatch(/^Invalid --set, fmt keeps the placeholders of the programs\./);
+  });
+
+  it('should print the syntax tree and its JSON representation', async () => {
+    expect((await sculp(['ast'], 'post("a")')).stdout).toBe([
+      'Program',
+      '  statements[0]: Procedure name="post"',
+      '    params: ParametersList',
+      '      list[0]: String value="a"',
+      '',
+    ].join('\n'));
+    const { stdout } = await sculp(['ast', '--json'], 'skip');
+    expect(JSON.parse(stdout)).toMatchObject({ version: 1, type: 'Program', statements: [{ type: 'Skip' }] });
+  });
+
+  it('should insert placeholders', async () => {
+    const { stdout } = await sculp(['print', '--set', 'who="ana"', '--set', 'p=clock'], 'when {usr: $who} do $p');
+    expect(stdout).toBe('when { usr: "ana" } do clock\n');
+  });
+
+  it('should handle files with several statements', async () => {
+    const program = 'def "reset" as rm(*, *, *);  def "clock" as post("hi")\nwhen {usr: "ana"} do clock\n';
+    expect((await sculp(['fmt'], program)).stdout)
+      .toBe('def "reset" as rm(*, *, *)\ndef "clock" as post("hi")\nwhen { usr: "ana" } do clock\n');
+    expect((await sculp(['check'], 'skip clock\nskip')).stderr).toBe([
+      '<stdin>:1:6: error unexpected-token: Unexpected token clock, expecting ; or a new line.',
+      '1 | skip clock',
+      '  |      ^^^^^',
+      '',
+    ].join('\n'));
+  });
+
+  it('should start a REPL with the signatures and inserts given', async () => {
+    const { code, stdout } = await sculp(['repl', '--set', 'p=clock'], 'next $p\npost(*)\n');
+    expect(code).toBe(0);
+    expect(stdout).toBe([
+      'sculp> $1 = (next clock)',
+      'SequentialExecution',
+      '  statement: Procedure name="clock"',
+      '    params: ParametersList',
+      'sculp> 1:6: error type-mismatch: Parameter at position 0 of post must be of type String instead of Pattern.',
+      '1 | post(*)',
+      '  |      ^',
+      'sculp> ',
+    ].join('\n'));
+  });
+
+  it('should run the language server until the client exits', async () => {
+    const frame = (message) => {
+      const body = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message));
+      return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+    };
+    const exit = frame({ method: 'exit' });
+    expect((await sculp(['lsp'], frame({ id: 1, method: 'shutdown' }) + exit)).code).toBe(0);
+    expect((await sculp(['lsp'], exit)).code).toBe(1);
+  });
+
+  it('should print highlighting grammars with the configured procedures', async () => {
+    const grammar = JSON.parse((await sculp(['grammar'])).stdout);
+    expect(grammar.repository.procedures.match).toBe('(?<![\\w-])(?:clock|post|rm)(?![\\w-])');
+    expect((await sculp(['grammar', '--format', 'prism'])).stdout).toMatch(/^module\.exports = \{\n {2}comment: \[/);
+    expect((await sculp(['grammar', '--format', 'vim'])).code).toBe(2);
+  });
+
+  it('should reject invalid arguments and configs', async () => {
+    expect((await sculp(['lint'])).code).toBe(2);
+    expect((await sculp(['check', '--set', 'x'])).stderr).toMatch(/^Invalid --set, expecting <name>=<code>\./);
+    fs.writeFileSync(path.join(cwd, 'wrong.json'), JSON.stringify({ signatures: { post: ['Text'] } }));
+    expect((await sculp(['check', '--config', 'wrong.json'])).stderr)
+      .toMatch(/^Unknown type 'Text' in wrong\.json\./);
+  });
+});
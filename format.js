@@ -0,0 +1,380 @@
+const { Expression, Expressions } = require('./index');
+
+/**
+ * @typedef {Object} FormatOptions
+ * @property {Number=} indent number of spaces per indentation level, 2 by default
+ * @property {Number=} maxWidth maximum line width before breaking statements, 80 by default
+ * @property {String=} keywordCase 'lower' (default) or 'upper'
+ * @property {String=} breakParallel 'auto' (default) breaks parallel executions only when they do
+ * not fit in the line, 'always' puts every branch on its own line
+ */
+
+/** @type {FormatOptions} */
+const defaultOptions = {
+  indent: 2,
+  maxWidth: 80,
+  keywordCase: 'lower',
+  breakParallel: 'auto',
+};
+
+/**
+ * @param {Expression} expression
+ * @returns {Boolean}
+ */
+function isConjunction(expression) {
+  return expression instanceof Expressions.PatternAnd ||
+    expression instanceof Expressions.LogicalAnd;
+}
+
+/**
+ * @param {Expression} expression
+ * @returns {Boolean}
+ */
+function isDisjunction(expression) {
+  return expression instanceof Expressions.PatternOr ||
+    expression instanceof Expressions.LogicalOr;
+}
+
+/**
+ * Returns whether the given [statement] ends with a `next` or `repeat` whose body would absorb
+ * any `||` or `until` following it
+ * @param {Expression} statement
+ * @returns {Boolean}
+ */
+function hasOpenTail(statement) {
+  if (statement instanceof Expressions.SequentialExecution ||
+    statement instanceof Expressions.Repeat
+  ) {
+    return true;
+  }
+  if (statement instanceof Expressions.ParallelExecution ||
+    statement instanceof Expressions.Until ||
+    !(statement.statement instanceof Expressions.Statement)
+  ) {
+    return false;
+  }
+  return hasOpenTail(statement.statement);
+}
+
+/**
+ * Returns whether a statement nested in the given [statement] has line comments
+ * @param {Expression} statement
+ * @returns {Boolean}
+ */
+function hasNestedLineComments(statement) {
+  let found = false;
+  statement.applyTo(Expressions.Statement, (nested) => {
+    if (nested !== statement && nested.comments) {
+      found = found || nested.comments.some(comment => comment.type === 'line');
+    }
+  });
+  return found;
+}
+
+/**
+ * Formats the comments of the given [expression] to be placed before it in the same line
+ * @param {Expression} expression
+ * @returns {String}
+ */
+function inlineComments(expression) {
+  return (expression.comments || []).map(({ value }) =>
+    (value.includes('*/') ? `//${value}\n` : `/*${value}*/ `)).join('');
+}
+
+/**
+ * @param {Expression} statement
+ * @returns {Boolean}
+ */
+function hasParallel(statement) {
+  let found = false;
+  statement.applyTo(Expressions.ParallelExecution, () => { found = true; });
+  return found;
+}
+
+/**
+ * Pretty-printer of SCULP expressions. Parentheses are added only where they are needed for the
+ * output to be parsed back into an equal expression.
+ *
+ * Comments of statements are printed in their own lines when the statement is broken, the rest
+ * are printed inline as block comments.
+ */
+class Formatter {
+  /**
+   * @param {FormatOptions=} options
+   */
+  constructor(options) {
+    this.options = Object.assign({}, defaultOptions, options);
+    if (!['lower', 'upper'].includes(this.options.keywordCase)) {
+      throw new TypeError(`Invalid keyword case '${this.options.keywordCase}', expecting lower or upper.`);
+    }
+    if (!['auto', 'always'].includes(this.options.breakParallel)) {
+      throw new TypeError(`Invalid parallel break mode '${this.options.breakParallel}', expecting auto or always.`);
+    }
+  }
+
+  /**
+   * @param {String} keyword lower case keyword
+   * @returns {String}
+   */
+  keyword(keyword) {
+    return this.options.keywordCase === 'upper' ? keyword.toUpperCase() : keyword;
+  }
+
+  /**
+   * @param {Number} level
+   * @returns {String}
+   */
+  indentation(level) {
+    return ' '.repeat(level * this.options.indent);
+  }
+
+  /**
+   * Formats the comments of the given [expression] to be placed before it, line comments end the
+   * line and continue at the given indentation [level]
+   * @param {Expression} expression
+   * @param {Number} level
+   * @returns {String}
+   */
+  leadingComments(expression, level) {
+    return (expression.comments || []).map(({ type, value }) => (type === 'line' ?
+      `//${value}\n${this.indentation(level)}` : `/*${value}*/ `)).join('');
+  }
+
+  /**
+   * Formats the given [statement] starting at the given indentation [level], breaking it in
+   * several lines if it does not fit in the maximum width.
+   * @param {Expression} statement
+   * @param {Number} level
+   * @returns {String}
+   */
+  statement(statement, level) {
+    return `${this.leadingComments(statement, level)}${this.statementCode(statement, level)}`;
+  }
+
+  /**
+   * Formats the given [statement] as Formatter#statement, without its own comments
+   * @param {Expression} statement
+   * @param {Number} level
+   * @returns {String}
+   */
+  statementCode(statement, level) {
+    const flat = this.code(statement);
+    const mustBreak = hasNestedLineComments(statement) ||
+      (this.options.breakParallel === 'always' && hasParallel(statement));
+    if (!mustBreak && this.indentation(level).length + flat.length <= this.options.maxWidth) {
+      return flat;
+    }
+    const body = (keywords, child) =>
+      `${keywords}\n${this.indentation(level + 1)}${this.statement(child, level + 1)}`;
+    switch (statement.constructor) {
+      case Expressions.ParallelExecution: {
+        const branches = statement.statements.map((branch, i) => {
+          const isLast = i === statement.statements.length - 1;
+          const text = this.statement(branch, level + 1);
+          return !isLast && hasOpenTail(branch) ? `(${text})` : text;
+        });
+        const separator = `\n${this.indentation(level + 1)}|| `;
+        return `(\n${this.indentation(level + 1)}${branches.join(separator)}\n${this.indentation(level)})`;
+      }
+      case Expressions.Until: {
+        const text = this.statement(statement.statement, level + 1);
+        return `${this.keyword('do')}\n${this.indentation(level + 1)}${hasOpenTail(statement.statement) ? `(${text})` : text}\n` +
+          `${this.indentation(level)}${this.keyword('until')} ${this.constraint(statement.condition)}`;
+      }
+      case Expressions.Define:
+        return body(`${this.keyword('def')} ${this.flat(statement.name)} ${this.keyword('as')}`, statement.statement);
+      case Expressions.Enter:
+      case Expressions.Exit:
+        return body(`${this.keyword(statement.constructor.name.toLowerCase())} ${this.flat(statement.spaceId)} ${this.keyword('do')}`, statement.statement);
+      case Expressions.If:
+        return body(`${this.keyword('if')} ${this.constraint(statement.condition)} ${this.keyword('then')}`, statement.statement);
+      case Expressions.Unless:
+        return body(`${this.keyword('unless')} ${this.constraint(statement.condition)} ${this.keyword('next')}`, statement.statement);
+      case Expressions.When:
+      case Expressions.Whenever:
+      case Expressions.While:
+        return body(`${this.keyword(statement.constructor.name.toLowerCase())} ${this.constraint(statement.condition)} ${this.keyword('do')}`, statement.statement);
+      case Expressions.Repeat:
+        return body(this.keyword('repeat'), statement.statement);
+      case Expressions.SequentialExecution:
+        return body(this.keyword('next'), statement.statement);
+      default:
+        return flat;
+    }
+  }
+
+  /**
+   * Formats the given [expression] in a single line
+   * @param {Expression} expression
+   * @returns {String}
+   */
+  flat(expression) {
+    return `${inlineComments(expression)}${this.code(expression)}`;
+  }
+
+  /**
+   * Formats the given [expression] in a single line, without its own comments
+   * @param {Expression} expression
+   * @returns {String}
+   */
+  code(expression) {
+    if (expression instanceof Expressions.Comparison) {
+      const { left, right } = expression;
+      const { operator } = expression.constructor;
+      return left ? `${this.flat(left)} ${operator} ${this.flat(right)}` : `${operator} ${this.flat(right)}`;
+    }
+    switch (expression.constructor) {
+      case Expressions.ParallelExecution: {
+        const branches = expression.statements.map((branch, i) => {
+          const isLast = i === expression.statements.length - 1;
+          return !isLast && hasOpenTail(branch) ? `(${this.flat(branch)})` : this.flat(branch);
+        });
+        return `(${branches.join(' || ')})`;
+      }
+      case Expressions.Until: {
+        const text = this.flat(expression.statement);
+        return `${this.keyword('do')} ${hasOpenTail(expression.statement) ? `(${text})` : text} ${this.keyword('until')} ${this.constraint(expression.condition)}`;
+      }
+      case Expressions.Define:
+        return `${this.keyword('def')} ${this.flat(expression.name)} ${this.keyword('as')} ${this.flat(expression.statement)}`;
+      case Expressions.Enter:
+      case Expressions.Exit:
+        return `${this.keyword(expression.constructor.name.toLowerCase())} ${this.flat(expression.spaceId)} ${this.keyword('do')} ${this.flat(expression.statement)}`;
+      case Expressions.If:
+        return `${this.keyword('if')} ${this.constraint(expression.condition)} ${this.keyword('then')} ${this.flat(expression.statement)}`;
+      case Expressions.Unless:
+        return `${this.keyword('unless')} ${this.constraint(expression.condition)} ${this.keyword('next')} ${this.flat(expression.statement)}`;
+      case Expressions.When:
+      case Expressions.Whenever:
+      case Expressions.While:
+        return `${this.keyword(expression.constructor.name.toLowerCase())} ${this.constraint(expression.condition)} ${this.keyword('do')} ${this.flat(expression.statement)}`;
+      case Expressions.Repeat:
+        return `${this.keyword('repeat')} ${this.flat(expression.statement)}`;
+      case Expressions.SequentialExecution:
+        return `${this.keyword('next')} ${this.flat(expression.statement)}`;
+      case Expressions.Skip:
+        return this.keyword('skip');
+      case Expressions.SpacePath:
+        return `@ ${expression.segments.map(segment =>
+          (segment instanceof Expressions.String ? this.flat(segment) : segment)).join('/')}`;
+      case Expressions.Procedure:
+        return expression.params.list.length ?
+          `${expression.name}(${expression.params.list.map(param => this.operand(param)).join(', ')})` :
+          expression.name;
+      case Expressions.PatternAnd:
+      case Expressions.LogicalAnd:
+      case Expressions.PatternOr:
+      case Expressions.LogicalOr:
+        return this.operators(expression);
+      case Expressions.PatternConcatenation:
+        return expression.patterns.map(pattern => this.operand(pattern)).join(' . ');
+      case Expressions.PatternRepetition:
+        return `[${this.constraint(expression.pattern)}]*`;
+      case Expressions.MatchList:
+        return `{ ${Object.values(expression.list).map(match => this.flat(match)).join(', ')} }`;
+      case Expressions.Match:
+        return `${expression.name}: ${this.operand(expression.pattern)}`;
+      default:
+        return expression.toString();
+    }
+  }
+
+  /**
+   * Formats the given [constraint] in a single line, grouping the operands of conjunctions and
+   * disjunctions that would otherwise be parsed differently.
+   * @param {Expression} constraint
+   * @returns {String}
+   */
+  constraint(constraint) {
+    if (!isConjunction(constraint) && !isDisjunction(constraint)) return this.flat(constraint);
+    return `${inlineComments(constraint)}${this.operators(constraint)}`;
+  }
+
+  /**
+   * Formats the operands of the given conjunction or disjunction joined by its operator, without
+   * its own comments
+   * @param {Expression} constraint
+   * @returns {String}
+   */
+  operators(constraint) {
+    const operands = constraint.patterns || constraint.constraints;
+    if (isConjunction(constraint)) {
+      return operands.map(operand => (isConjunction(operand) || isDisjunction(operand) ?
+        this.group(operand) : this.flat(operand))).join(' & ');
+    }
+    return operands.map(operand => (isDisjunction(operand) ?
+      this.group(operand) : this.constraint(operand))).join(' v ');
+  }
+
+  /**
+   * Formats the given conjunction or disjunction between parentheses
+   * @param {Expression} constraint
+   * @returns {String}
+   */
+  group(constraint) {
+    return `${inlineComments(constraint)}(${this.operators(constraint)})`;
+  }
+
+  /**
+   * Formats an operand of a procedure or a match, where conjunctions and disjunctions must be
+   * grouped
+   * @param {Expression} operand
+   * @returns {String}
+   */
+  operand(operand) {
+    return isConjunction(operand) || isDisjunction(operand) ?
+      this.group(operand) : this.flat(operand);
+  }
+}
+
+/**
+ * Formats the given [expression] as SCULP code, programs with one statement per line. The result
+ * is parsed back into an expression equal to the given one.
+ * @param {Expression} expression
+ * @param {FormatOptions=} options
+ * @returns {String}
+ */
+function format(expression, options) {
+  const formatter = new Formatter(options);
+  if (expression instanceof Expressions.Program) {
+    return expression.statements.map(statement => formatter.statement(statement, 0)).join('\n');
+  }
+  return formatter.statement(expression, 0);
+}
+
+/**
+ * Returns the syntax tree of the given [expression] as indented lines, with the fields holding
+ * plain values next to the name of each class and the child expressions below it
+ * @param {Expression} expression
+ * @param {String=} prefix
+ * @param {String=} indentation
+ * @returns {[String]}
+ */
+function tree(expression, prefix = '', indentation = '') {
+  const { fields, children } = expression.constructor;
+  const values = fields.filter(field => !children.includes(field))
+    .map(field => ` ${field}=${JSON.stringify(expression[field])}`);
+  const lines = [`${indentation}${prefix}${expression.constructor.name}${values.join('')}`];
+  children.forEach((field) => {
+    const value = expression[field];
+    const nested = `${indentation}  `;
+    if (value instanceof Expression) {
+      lines.push(...tree(value, `${field}: `, nested));
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach((key) => {
+        const label = `${field}[${value instanceof Array ? key : JSON.stringify(key)}]: `;
+        if (value[key] instanceof Expression) {
+          lines.push(...tree(value[key], label, nested));
+        } else {
+          lines.push(`${nested}${label}${JSON.stringify(value[key])}`);
+        }
+      });
+    }
+  });
+  return lines;
+}
+
+module.exports = {
+  format, tree, Formatter, defaultOptions,
+};
+
@@ -0,0 +1,112 @@
+/* global describe it expect */
+const { SculpParser, Expressions } = require('./index');
+const { format } = require('./format');
+
+const validSignatures = {
+  post: [Expressions.String],
+  signal: [Expressions.String],
+  rm: [Expressions.Pattern, Expressions.Pattern, Expressions.Pattern],
+  count: [Expressions.String],
+  clock: [],
+  abort: [],
+};
+
+describe('The SCULP formatter', () => {
+  const parser = new SculpParser(validSignatures);
+
+  it('should keep short programs in a single line', () => {
+    const result = parser.parse('when  {usr:"frank",txt:*."?"}   do post("Hi!")');
+    expect(format(result)).toBe('when { usr: "frank", txt: * . "?" } do post("Hi!")');
+  });
+
+  it('should break long programs at nested do bodies and parallel branches', () => {
+    const result = parser.parse('when {usr:"frank"} do enter @ "inbox" do (post("Hi Frank!") || signal("frank")) || abort');
+    expect(format(result, { maxWidth: 50 })).toBe([
+      '(',
+      '  when { usr: "frank" } do',
+      '    enter @ "inbox" do',
+      '      (post("Hi Frank!") || signal("frank"))',
+      '  || abort',
+      ')',
+    ].join('\n'));
+  });
+
+  it('should break "do process until constraint" around its body', () => {
+    const result = parser.parse('do post("Bla Bla Bla") until *."stop!".*');
+    expect(format(result, { maxWidth: 20, indent: 4 })).toBe([
+      'do',
+      '    post("Bla Bla Bla")',
+      'until * . "stop!" . *',
+    ].join('\n'));
+  });
+
+  it('should break every parallel branch when asked to', () => {
+    const result = parser.parse('skip || abort');
+    expect(format(result, { breakParallel: 'always' })).toBe('(\n  skip\n  || abort\n)');
+  });
+
+  it('should change the case of keywords', () => {
+    const result = parser.parse('unless * next repeat skip');
+    expect(format(result, { keywordCase: 'upper' })).toBe('UNLESS * NEXT REPEAT SKIP');
+  });
+
+  it('should group operands that would be parsed differently', () => {
+    expect(format(parser.parse('(next skip) || skip'))).toBe('((next skip) || skip)');
+    expect(format(parser.parse('do (repeat skip) until *'))).toBe('do (repeat skip) until *');
+    expect(format(parser.parse('when {txt: ("a" v "b")} do skip'))).toBe('when { txt: ("a" v "b") } do skip');
+    expect(format(parser.parse('rm(("a" & "b"), *, *)'))).toBe('rm(("a" & "b"), *, *)');
+    expect(format(parser.parse('if ("a" v "b") & "c" then skip'))).toBe('if ("a" v "b") & "c" then skip');
+  });
+
+  it('should keep comments', () => {
+    const result = parser.parse('// greet\npost("hi") || when /* cond */ {txt: /* or */ ("a" v "b")} do // body\n abort');
+    const formatted = format(result);
+    expect(formatted).toBe([
+      '(',
+      '  // greet',
+      '  post("hi")',
+      '  || when /* cond */ { txt: /* or */ ("a" v "b") } do',
+      '    // body',
+      '    abort',
+      ')',
+    ].join('\n'));
+    expect(format(parser.parse(formatted))).toBe(formatted);
+  });
+
+  it('should reject unknown options', () => {
+    expect(() => format(parser.parse('skip'), { keywordCase: 'title' }))
+      .toThrow(new TypeError('Invalid keyword case \'title\', expecting lower or upper.'));
+  });
+
+  it('should put the statements of programs in their own lines', () => {
+    const program = parser.parseProgram('def "clear" as rm(*,*,*) ;when "a" do next skip\n(post("b") || abort)');
+    expect(format(program)).toBe('def "clear" as rm(*, *, *)\nwhen "a" do next skip\n(post("b") || abort)');
+    expect(parser.parseProgram(format(program)).equals(program)).toBe(true);
+  });
+
+  describe('when the output is parsed again', () => {
+    const programs = [
+      'skip || skip || skip',
+      'next skip || skip',
+      'repeat post("tick") || abort',
+      'def "clear" as rm(*,*,*)',
+      'enter @ ~/"house"/"kitchen" do exit @ ../. do skip',
+      'when ["a" v "b"]* do skip',
+      'when * . ("a" v "b") . [* . "x" & "y"]* do skip',
+      'whenever "a" & "b" & "c" v {pid: "x"} do signal("y")',
+      'while * do (next post("a")) || do (when * do next skip) until "stop"',
+      'when {pid: > 10} & count("msg") >= 3 v clock != -1.5 do skip',
+      'when {usr:"frank", txt:*."?"} do enter @ "inbox" do (post("Hi Frank! I will answer your question asap.") || (when * do next post("x")) || skip) || exit @ "inbox" do abort',
+    ];
+    const optionSets = [{}, { maxWidth: 20, keywordCase: 'upper' }, { breakParallel: 'always', indent: 4 }];
+
+    programs.forEach((program) => {
+      it(`should produce an equal expression for ${program}`, () => {
+        const result = parser.parse(program);
+        optionSets.forEach((options) => {
+          expect(parser.parse(format(result, options)).equals(result)).toBe(true);
+        });
+      });
+    });
+  });
+});
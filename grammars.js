@@ -0,0 +1,264 @@
+/**
+ * Generators of syntax-highlighting grammars for editors, built from the TokenTable of a parser so
+ * they recognize the same keywords, operators, fields and procedures, e.g.
+ * `textMate(new SculpParser(validSignatures).tokenTable())`
+ */
+const { escapeRegExp } = require('./index');
+
+const brackets = ['(', ')', '[', ']', '{', '}'];
+const punctuation = brackets.concat(',', ':', ';');
+
+const patterns = {
+  lineComment: '//.*',
+  string: quote => `${quote}(?:[^\\\\${quote}]|\\\\.)*${quote}`,
+  escape: '\\\\(?:u\\{[0-9a-fA-F]+\\}|.)',
+  placeholder: '\\$\\s*[\\w-]+',
+  number: '-?\\d+(?:\\.\\d+)?(?![\\w-])',
+  word: '[\\w-]+',
+  beforeColon: '(?=\\s*:)',
+};
+
+/**
+ * Returns the source of a regular expression matching any of the given [words] as a whole,
+ * undefined if there are none
+ * @param {[String]} words
+ * @param {String=} prefix source of the lookbehind preceding the words
+ * @returns {String=}
+ */
+function anyWord(words, prefix = '(?<![\\w-])') {
+  if (!words.length) return undefined;
+  return `${prefix}(?:${words.map(escapeRegExp).join('|')})(?![\\w-])`;
+}
+
+/**
+ * Returns the source of a regular expression matching any of the operators of [table], brackets
+ * and separators excluded
+ * @param {TokenTable} table
+ * @returns {String}
+ */
+function anyOperator(table) {
+  return table.operators.filter(symbol => !punctuation.includes(symbol)).map(escapeRegExp).join('|');
+}
+
+/**
+ * Returns a TextMate grammar, used by VS Code, Atom and Sublime Text among others
+ * @param {TokenTable} table
+ * @param {{scopeName: String=}=} options `source.sculp` by default
+ * @returns {Object} JSON grammar
+ */
+function textMate(table, { scopeName = 'source.sculp' } = {}) {
+  const suffix = scopeName.split('.').pop();
+  const rule = (name, match) => match && { name: `${name}.${suffix}`, match };
+  const stringRule = (quote, kind) => ({
+    name: `string.quoted.${kind}.${suffix}`,
+    begin: quote,
+    end: quote,
+    patterns: [rule('constant.character.escape', patterns.escape)],
+  });
+  const repository = {
+    comments: {
+      patterns: [
+        rule('comment.line.double-slash', patterns.lineComment),
+        { name: `comment.block.${suffix}`, begin: '/\\*', end: '\\*/' },
+      ],
+    },
+    strings: { patterns: [stringRule('"', 'double'), stringRule("'", 'single')] },
+    placeholders: rule('variable.other.placeholder', patterns.placeholder),
+    numbers: rule('constant.numeric', `(?<![\\w-])${patterns.number}`),
+    keywords: rule('keyword.control', table.keywords.length && `(?i)${anyWord(table.keywords)}`),
+    'match-fields': rule('variable.other.property', table.matchFields.length &&
+      `(?i)${anyWord(table.matchFields)}${patterns.beforeColon}`),
+    'named-parameters': rule('variable.parameter', `${patterns.word}${patterns.beforeColon}`),
+    procedures: rule('entity.name.function', anyWord(table.procedures)),
+    operators: {
+      patterns: [
+        rule('keyword.operator.word', anyWord(table.wordOperators)),
+        rule('keyword.operator', anyOperator(table)),
+        rule('punctuation.separator', '[,:;]'),
+      ].filter(Boolean),
+    },
+  };
+  Object.keys(repository).forEach((key) => {
+    if (!repository[key]) delete repository[key];
+  });
+  return {
+    name: 'SCULP',
+    scopeName,
+    fileTypes: ['sculp'],
+    patterns: Object.keys(repository).map(key => ({ include: `#${key}` })),
+    repository,
+  };
+}
+
+/**
+ * Returns a Monarch language definition, the format of the Monaco editor
+ * @param {TokenTable} table
+ * @returns {Object}
+ */
+function monarch(table) {
+  const string = quote => [
+    [new RegExp(`[^\\\\${quote}]+`), 'string'],
+    [new RegExp(patterns.escape), 'string.escape'],
+    [/\\./, 'string.escape.invalid'],
+    [new RegExp(quote), 'string', '@pop'],
+  ];
+  return {
+    defaultToken: '',
+    tokenPostfix: '.sculp',
+    // keywords are case insensitive, Monarch cannot limit it to them
+    ignoreCase: true,
+    keywords: table.keywords,
+    wordOperators: table.wordOperators,
+    matchFields: table.matchFields,
+    procedures: table.procedures,
+    brackets: [
+      { open: '{', close: '}', token: 'delimiter.curly' },
+      { open: '[', close: ']', token: 'delimiter.square' },
+      { open: '(', close: ')', token: 'delimiter.parenthesis' },
+    ],
+    tokenizer: {
+      root: [
+        [new RegExp(patterns.lineComment), 'comment'],
+        [/\/\*/, 'comment', '@comment'],
+        [/"/, 'string', '@doubleQuoted'],
+        [/'/, 'string', '@singleQuoted'],
+        [new RegExp(patterns.placeholder), 'variable'],
+        [new RegExp(patterns.number), 'number'],
+        [new RegExp(`${patterns.word}${patterns.beforeColon}`), {
+          cases: { '@matchFields': 'type', '@default': 'attribute.name' },
+        }],
+        [new RegExp(patterns.word), {
+          cases: {
+            '@keywords': 'keyword',
+            '@wordOperators': 'operator',
+            '@procedures': 'predefined',
+            '@default': 'identifier',
+          },
+        }],
+        [/[{}()[\]]/, '@brackets'],
+        [new RegExp(anyOperator(table)), 'operator'],
+        [/[,:;]/, 'delimiter'],
+      ],
+      comment: [
+        [/[^*]+/, 'comment'],
+        [/\*\//, 'comment', '@pop'],
+        [/\*/, 'comment'],
+      ],
+      doubleQuoted: string('"'),
+      singleQuoted: string("'"),
+    },
+  };
+}
+
+/**
+ * Returns a CodeMirror 5 simple mode, to be given to `CodeMirror.defineSimpleMode`
+ * @param {TokenTable} table
+ * @returns {Object}
+ */
+function codeMirror(table) {
+  const rule = (regex, token, flags = '') => regex && { regex: new RegExp(regex, flags), token };
+  return {
+    start: [
+      rule(patterns.lineComment, 'comment'),
+      { regex: /\/\*/, token: 'comment', next: 'comment' },
+      rule(`${patterns.string('"')}|${patterns.string("'")}`, 'string'),
+      rule(patterns.placeholder, 'variable-2'),
+      rule(patterns.number, 'number'),
+      // every word is consumed at once, so the words below do not need a lookbehind
+      rule(anyWord(table.keywords, ''), 'keyword', 'i'),
+      rule(table.matchFields.length && `${anyWord(table.matchFields, '')}${patterns.beforeColon}`, 'property', 'i'),
+      rule(`${patterns.word}${patterns.beforeColon}`, 'attribute'),
+      rule(anyWord(table.procedures, ''), 'builtin'),
+      rule(anyWord(table.wordOperators, ''), 'operator'),
+      rule(patterns.word, 'variable'),
+      { regex: /[([{]/, indent: true },
+      { regex: /[)\]}]/, dedent: true },
+      rule(anyOperator(table), 'operator'),
+    ].filter(Boolean),
+    comment: [
+      { regex: /.*?\*\//, token: 'comment', next: 'start' },
+      { regex: /.*/, token: 'comment' },
+    ],
+    meta: {
+      lineComment: '//',
+      blockCommentStart: '/*',
+      blockCommentEnd: '*/',
+    },
+  };
+}
+
+/**
+ * Returns a Prism language definition, to be assigned to `Prism.languages.sculp`
+ * @param {TokenTable} table
+ * @returns {Object}
+ */
+function prism(table) {
+  const lookbehind = '(^|[^\\w-])';
+  const token = (pattern, flags = '') => pattern && {
+    pattern: new RegExp(`${lookbehind}${pattern}`, flags),
+    lookbehind: true,
+  };
+  const grammar = {
+    comment: [
+      { pattern: new RegExp(patterns.lineComment), greedy: true },
+      { pattern: /\/\*[\s\S]*?(?:\*\/|$)/, greedy: true },
+    ],
+    string: {
+      pattern: new RegExp(`${patterns.string('"')}|${patterns.string("'")}`),
+      greedy: true,
+      inside: { escape: new RegExp(patterns.escape) },
+    },
+    variable: new RegExp(patterns.placeholder),
+    number: token(patterns.number),
+    keyword: token(anyWord(table.keywords, ''), 'i'),
+    property: token(table.matchFields.length && `${anyWord(table.matchFields, '')}${patterns.beforeColon}`, 'i'),
+    'attr-name': token(`${patterns.word}${patterns.beforeColon}`),
+    function: token(anyWord(table.procedures, '')),
+    operator: [
+      token(anyWord(table.wordOperators, '')),
+      new RegExp(anyOperator(table)),
+    ].filter(Boolean),
+    punctuation: /[()[\]{},:;]/,
+  };
+  Object.keys(grammar).forEach((key) => {
+    if (!grammar[key]) delete grammar[key];
+  });
+  return grammar;
+}
+
+/**
+ * Returns JavaScript source code evaluating to the given [value], which can contain regular
+ * expressions
+ * @param {*} value
+ * @param {String=} indentation
+ * @returns {String}
+ */
+function toSource(value, indentation = '') {
+  const nested = `${indentation}  `;
+  if (Object.prototype.toString.call(value) === '[object RegExp]') return value.toString();
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    return `[\n${value.map(item => `${nested}${toSource(item, nested)},\n`).join('')}${indentation}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (!keys.length) return '{}';
+    const key = name => (/^[a-z_$][\w$]*$/i.test(name) ? name : `'${name.replace(/['\\]/g, '\\$&')}'`);
+    return `{\n${keys.map(name => `${nested}${key(name)}: ${toSource(value[name], nested)},\n`).join('')}${indentation}}`;
+  }
+  return typeof value === 'string' ? `'${value.replace(/['\\]/g, '\\$&').replace(/\n/g, '\\n')}'` : JSON.stringify(value);
+}
+
+/**
+ * Generators by name of the format
+ */
+const generators = {
+  textmate: textMate,
+  monarch,
+  codemirror: codeMirror,
+  prism,
+};
+
+module.exports = {
+  textMate, monarch, codeMirror, prism, toSource, generators,
+};
@@ -0,0 +1,99 @@
+/* global describe it expect */
+const vm = require('vm');
+const { SculpParser, Expressions } = require('./index');
+const {
+  textMate, monarch, codeMirror, prism, toSource,
+} = require('./grammars');
+
+const parser = new SculpParser({ post: [Expressions.String], 'say-hi': [] });
+parser.defineKeyword('every', {});
+const table = parser.tokenTable();
+
+/**
+ * Splits [line] into tokens with the rules of a CodeMirror simple mode state
+ */
+function codeMirrorTokens(rules, line) {
+  const tokens = [];
+  let position = 0;
+  while (position < line.length) {
+    const rest = line.substring(position);
+    const spaces = /^\s+/.exec(rest);
+    if (spaces) {
+      position += spaces[0].length;
+    } else {
+      const rule = rules.find(({ regex }) => regex.exec(rest) && regex.exec(rest).index === 0);
+      // characters matched by no rule are left unstyled
+      const [text] = rule ? rule.regex.exec(rest) : rest;
+      tokens.push([text, rule && rule.token]);
+      position += text.length;
+    }
+  }
+  return tokens;
+}
+
+describe('The highlighting grammars', () => {
+  it('should be built from the token table of the parser', () => {
+    expect(table.keywords).toEqual(expect.arrayContaining(['when', 'whenever', 'every', 'skip']));
+    expect(table.keywords.indexOf('whenever')).toBeLessThan(table.keywords.indexOf('when'));
+    expect(table.wordOperators).toEqual(['v']);
+    expect(table.operators).toEqual(expect.arrayContaining(['||', '..', '.', '@', '!=']));
+    expect(table.operators.indexOf('..')).toBeLessThan(table.operators.indexOf('.'));
+    expect(table.matchFields).toEqual(['pid', 'txt', 'usr']);
+    expect(table.procedures).toEqual(['say-hi', 'post']);
+  });
+
+  it('should generate a TextMate grammar', () => {
+    const grammar = textMate(table);
+    expect(JSON.parse(JSON.stringify(grammar))).toEqual(grammar);
+    expect(grammar.scopeName).toBe('source.sculp');
+    expect(grammar.patterns[0]).toEqual({ include: '#comments' });
+    const regExp = name => new RegExp(grammar.repository[name].match.replace('(?i)', ''), 'i');
+    expect(grammar.repository.procedures.name).toBe('entity.name.function.sculp');
+    expect('say-hi || post("a")'.match(new RegExp(regExp('procedures'), 'g'))).toEqual(['say-hi', 'post']);
+    expect(regExp('keywords').exec('sendwhen WHENEVER')[0]).toBe('WHENEVER');
+    expect(regExp('match-fields').exec('{ USR : "a" }')[0]).toBe('USR');
+    expect(grammar.repository['match-fields'].match).toMatch(/^\(\?i\)/);
+    expect(textMate(new SculpParser({}).tokenTable()).repository.procedures).toBeUndefined();
+  });
+
+  it('should generate a CodeMirror simple mode', () => {
+    const mode = codeMirror(table);
+    expect(codeMirrorTokens(mode.start, 'Every {Usr: "a\\"b"} do say-hi || post(to: $x) // hi')).toEqual([
+      ['Every', 'keyword'],
+      ['{', undefined],
+      ['Usr', 'property'],
+      [':', undefined],
+      ['"a\\"b"', 'string'],
+      ['}', undefined],
+      ['do', 'keyword'],
+      ['say-hi', 'builtin'],
+      ['||', 'operator'],
+      ['post', 'builtin'],
+      ['(', undefined],
+      ['to', 'attribute'],
+      [':', undefined],
+      ['$x', 'variable-2'],
+      [')', undefined],
+      ['// hi', 'comment'],
+    ]);
+  });
+
+  it('should generate Monarch and Prism definitions', () => {
+    const definition = monarch(table);
+    expect(definition.procedures).toEqual(['say-hi', 'post']);
+    const regexes = definition.tokenizer.root.map(([regex]) => regex);
+    expect(regexes.every(regex => regex instanceof RegExp)).toBe(true);
+    const grammar = prism(table);
+    expect(grammar.function.pattern.exec('(post')[0]).toBe('(post');
+    expect(grammar.function.pattern.exec('repost')).toBeNull();
+    expect(grammar.keyword.pattern.exec('x-when when')[0]).toBe(' when');
+    expect(grammar.operator[0].pattern.exec('"a" v "b"')[0]).toBe(' v');
+  });
+
+  it('should print the definitions as JavaScript', () => {
+    const definition = monarch(table);
+    const source = toSource(definition);
+    expect(toSource(vm.runInNewContext(`(${source})`))).toBe(source);
+    expect(toSource({ 'a-b': ["it's"], c: /x/g })).toBe("{\n  'a-b': [\n    'it\\'s',\n  ],\n  c: /x/g,\n}");
+  });
+});
@@ -1,3 +1,100 @@
+/**
+ * @typedef {Object} SourcePosition
+ * @property {Number} offset zero-based offset in the raw code
+ * @property {Number} line one-based line number
+ * @property {Number} column one-based column number
+ */
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {SourcePosition} start position of the first character
+ * @property {SourcePosition} end position after the last character
+ */
+
+/**
+ * @typedef {Object} Comment
+ * @property {String} type 'line' for `// ...` comments, 'block' for `/* ... *\/` comments
+ * @property {String} value text between the delimiters of the comment
+ * @property {SourceLocation} location
+ */
+
+/**
+ * Raw code being parsed, translates offsets into line and column positions
+ */
+class Source {
+  /**
+   * @param {String} raw sculp code
+   */
+  constructor(raw) {
+    this.raw = raw;
+    this.lineStarts = [0];
+    for (let i = 0; i < raw.length; i += 1) {
+      if (raw[i] === '\n') this.lineStarts.push(i + 1);
+    }
+  }
+
+  /**
+   * @param {Number} offset
+   * @returns {SourcePosition}
+   */
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { offset, line: low + 1, column: (offset - this.lineStarts[low]) + 1 };
+  }
+
+  /**
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {SourceLocation}
+   */
+  location(start, end) {
+    return { start: this.position(start), end: this.position(end) };
+  }
+
+  /**
+   * Renders the line where the given [location] starts with a caret underneath it
+   * @param {SourceLocation} location
+   * @returns {String}
+   */
+  excerpt({ start, end }) {
+    const lineStart = this.lineStarts[start.line - 1];
+    const lineEnd = start.line < this.lineStarts.length ?
+      this.lineStarts[start.line] - 1 : this.raw.length;
+    const text = this.raw.substring(lineStart, lineEnd).replace(/\r$/, '');
+    const width = end.line === start.line ?
+      end.column - start.column : (text.length - start.column) + 1;
+    const indent = text.substring(0, start.column - 1).replace(/[^\t]/g, ' ');
+    const gutter = ' '.repeat(`${start.line}`.length);
+    return `${start.line} | ${text}\n${gutter} | ${indent}${'^'.repeat(Math.max(width, 1))}`;
+  }
+}
+
+/**
+ * Creates an error of the given [ErrorClass] whose message includes the given [location] and an
+ * excerpt of the [source] pointing to it. The original message and the location are kept in the
+ * `description` and `location` properties of the error.
+ * @param {Source=} source
+ * @param {Function} ErrorClass SyntaxError, TypeError or ReferenceError
+ * @param {String} description
+ * @param {SourceLocation=} location
+ * @param {String=} code identifier of the problem, kept in the `code` property of the error
+ * @returns {Error}
+ */
+function createError(source, ErrorClass, description, location, code) {
+  const error = !location || !source ? new ErrorClass(description) :
+    new ErrorClass(`${description} (line ${location.start.line}, column ${location.start.column})\n${source.excerpt(location)}`);
+  error.description = description;
+  error.location = location;
+  error.code = code;
+  return error;
+}
+
 /**
  * Abstract class for tokens
  */
@@ -5,22 +102,86 @@ class Token {
   /**
    * @param {Number} leftBindingPower left binding power
    * @param {String} symbol string representation of the token
-   * @param {SculpParser} parser SculpParser instance to be used for expression parsing
+   * @param {ParseContext} parser context of the parse the token is part of
    */
   constructor(leftBindingPower, symbol, parser) {
     this.leftBindingPower = leftBindingPower;
     this.parser = parser;
     this.symbol = symbol;
+    /** @type {SourceLocation} set by the tokenizer */
+    this.location = undefined;
+    /** @type {[Comment]=} comments preceding the token, set by the tokenizer */
+    this.comments = undefined;
   }
   led() {
-    throw SyntaxError(`Unexpected token ${this.symbol}.`);
+    throw this.parser.error(SyntaxError, `Unexpected token ${this.symbol}.`, this.location, 'unexpected-token');
   }
   nud() {
-    throw SyntaxError(`Unexpected token ${this.symbol}.`);
+    throw this.parser.error(SyntaxError, `Unexpected token ${this.symbol}.`, this.location, 'unexpected-token');
   }
 }
 
+/**
+ * Version of the JSON representation of expressions produced by Expression#toJSON
+ */
+const JSON_VERSION = 1;
+
+/**
+ * JSON representation of an expression. Every expression is an object whose `type` is the name of
+ * its class in Expressions, along with the properties listed in the `fields` of the class:
+ * child expressions are nested objects, lists of expressions are arrays, and the rest are plain
+ * values. `MatchList.list` is an array of `Match`. The root object also carries the `version` of
+ * the format, every located expression its `location` and every commented expression its leading
+ * `comments`.
+ *
+ * e.g. `{ version: 1, type: 'Repeat', statement: { type: 'Skip' } }`
+ * @typedef {Object} ExpressionJSON
+ * @property {Number=} version JSON_VERSION, only in the root object
+ * @property {String} type
+ * @property {SourceLocation=} location
+ * @property {[Comment]=} comments
+ */
+
+/**
+ * Returns the given [text] with the special characters of regular expressions escaped
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 class Expression {
+  /**
+   * Names of the properties holding the state of the expression
+   * @returns {[String]}
+   */
+  static get fields() {
+    return [];
+  }
+
+  /**
+   * Names of the fields holding child expressions, either as an expression, a list of
+   * expressions or an object whose values are expressions
+   * @returns {[String]}
+   */
+  static get children() {
+    return [];
+  }
+
+  /**
+   * Returns the child expressions, in the order of their fields
+   * @returns {[Expression]}
+   */
+  getChildren() {
+    return this.constructor.children.reduce((children, field) => {
+      const value = this[field];
+      if (value instanceof Expression) return children.concat(value);
+      if (!value || typeof value !== 'object') return children;
+      return children.concat(Object.values(value).filter(child => child instanceof Expression));
+    }, []);
+  }
+
   /**
    * Calls function [fn] with the current expression and [context] as parameter,
    * then traverse is called recursively over the children expressions, using
@@ -33,27 +194,131 @@ class Expression {
   traverse(fn, context) {
     const newContext = fn(this, Object.assign({}, context));
     if (newContext !== false) {
-      Object.getOwnPropertyNames(this).forEach((child) => {
-        if (this[child] instanceof Expression) {
-          this[child].traverse(fn, newContext);
-        } else if (this[child] instanceof Array) {
-          this.traverse.call(this[child], fn, newContext);
-        }
-      });
+      this.getChildren().forEach(child => child.traverse(fn, newContext));
     }
   }
+
+  /**
+   * Replaces the expression by the one returned by [fn] called with it, then does the same with
+   * the children of the result
+   * @param {function(Expression): Expression} fn
+   * @returns {Expression} the patched expression
+   */
   patch(fn) {
     const expression = fn(this);
-    Object.getOwnPropertyNames(expression).forEach((child) => {
-      if (expression[child] instanceof Expression) {
-        expression[child] = expression[child].patch(fn);
-      } else if (expression[child] instanceof Array) {
-        expression.patch.call(expression[child], fn);
+    expression.constructor.children.forEach((field) => {
+      const value = expression[field];
+      if (value instanceof Expression) {
+        expression[field] = value.patch(fn);
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach((key) => {
+          if (value[key] instanceof Expression) value[key] = value[key].patch(fn);
+        });
       }
     });
     return expression;
   }
 
+  /**
+   * Returns a deep copy of the expression
+   * @returns {Expression}
+   */
+  clone() {
+    const cloneValue = (value) => {
+      if (value instanceof Expression) return value.clone();
+      if (value instanceof Array) return value.map(cloneValue);
+      if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.keys(value).reduce((copy, key) =>
+          Object.assign(copy, { [key]: cloneValue(value[key]) }), {});
+      }
+      return value;
+    };
+    const expression = Object.create(Object.getPrototypeOf(this));
+    this.constructor.fields.forEach((field) => {
+      expression[field] = cloneValue(this[field]);
+    });
+    if (this.location) expression.location = cloneValue(this.location);
+    if (this.comments) expression.comments = cloneValue(this.comments);
+    return expression;
+  }
+
+  /**
+   * Returns whether [other] is an expression of the same class as this one with equal fields.
+   * Source locations and comments are not compared.
+   * @param {Expression} other
+   * @returns {Boolean}
+   */
+  equals(other) {
+    const areEqual = (a, b) => {
+      if (a instanceof Expression) return a.equals(b);
+      if (a instanceof Array) {
+        return b instanceof Array && a.length === b.length && a.every((item, i) =>
+          areEqual(item, b[i]));
+      }
+      if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+          keys.every(key => key in b && areEqual(a[key], b[key]));
+      }
+      return a === b;
+    };
+    return other instanceof Expression && other.constructor === this.constructor &&
+      this.constructor.fields.every(field => areEqual(this[field], other[field]));
+  }
+
+  /**
+   * Returns a hash of the expression, equal expressions (see Expression#equals) have the same
+   * hash
+   * @returns {String} 32 bits FNV-1a hash in hexadecimal
+   */
+  hash() {
+    const canonical = (value) => {
+      if (value instanceof Expression) {
+        const { fields } = value.constructor;
+        return `${value.constructor.name}(${fields.map(field => canonical(value[field])).join(',')})`;
+      }
+      if (value instanceof Array) return `[${value.map(canonical).join(',')}]`;
+      if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+      }
+      return JSON.stringify(value);
+    };
+    const text = canonical(this);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193); // eslint-disable-line no-bitwise
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0'); // eslint-disable-line no-bitwise
+  }
+
+  /**
+   * Returns the JSON representation of the expression, without the format version
+   * @returns {ExpressionJSON}
+   */
+  serialize() {
+    const serializeValue = (value) => {
+      if (value instanceof Expression) return value.serialize();
+      if (value instanceof Array) return value.map(serializeValue);
+      return value;
+    };
+    const json = { type: this.constructor.name };
+    this.constructor.fields.forEach((field) => {
+      json[field] = serializeValue(this[field]);
+    });
+    if (this.location) json.location = this.location;
+    if (this.comments) json.comments = this.comments;
+    return json;
+  }
+
+  /**
+   * Returns the versioned JSON representation of the expression, which can be turned back into
+   * an expression using Expressions.fromJSON
+   * @returns {ExpressionJSON}
+   */
+  toJSON() {
+    return Object.assign({ version: JSON_VERSION }, this.serialize());
+  }
+
   /**
    * Apply [fn] to all expression of the given [classes]
    * @param {Function|[Function]} classes
@@ -70,22 +335,149 @@ class Expression {
 const Expressions = {};
 Expressions.Statement = class Statement extends Expression {};
 Expressions.Instruction = class Instruction extends Expressions.Statement {};
-Expressions.Constraint = class Constraint extends Expression {};
+/**
+ * Message record of a store, an object with a value for each field, e.g.
+ * `{ txt: 'hi', usr: 'frank', pid: 1 }`
+ * @typedef {Object.<String, (String|Number)>} Message
+ */
+
+/**
+ * @typedef {Object} EntailmentOptions
+ * @property {String=} textField field matched by bare patterns, `txt` by default
+ * @property {function(Expression): Number=} evaluate returns the value of the procedures and
+ * identifiers compared in constraints
+ */
+
+/**
+ * @typedef {Object} Entailment
+ * @property {Boolean} holds whether the constraint is entailed
+ * @property {[Message]} witnesses messages satisfying the parts of the constraint that hold, in
+ * the order of the store
+ */
+
+/**
+ * Returns the entailment of the [store] messages in [witnesses] if [holds]
+ * @param {[Message]} store
+ * @param {Boolean} holds
+ * @param {[Message]} witnesses
+ * @returns {Entailment}
+ */
+function entailment(store, holds, witnesses) {
+  return { holds, witnesses: holds ? store.filter(message => witnesses.includes(message)) : [] };
+}
+
+Expressions.Constraint = class Constraint extends Expression {
+  /**
+   * Returns whether the given [store] of messages entails the constraint
+   * @param {[Message]} store
+   * @param {EntailmentOptions=} options
+   * @returns {Entailment}
+   * @throws {TypeError} if the constraint cannot be evaluated
+   */
+  isEntailedBy(store, options) { // eslint-disable-line no-unused-vars
+    throw new TypeError(`Cannot evaluate ${this.constructor.name} constraints.`);
+  }
+};
+/**
+ * Pattern matching texts. `*` matches any text, a string matches itself, `a . b` the texts made of
+ * a text matching `a` followed by one matching `b`, `a v b` the texts matching `a` or `b`,
+ * `a & b` the texts matching both `a` and `b`, and `[a]*` the texts made of zero or more texts
+ * matching `a`. Patterns match whole texts, `* . "stop!" . *` is needed to find "stop!" anywhere.
+ */
 Expressions.Pattern = class Pattern extends Expressions.Constraint {
+  static get fields() {
+    return ['value'];
+  }
   constructor(value) {
-    super('pattern', []);
+    super();
     this.value = value;
   }
+
+  /**
+   * Returns the offsets where the texts matching the pattern from [start] of [text] end
+   * @param {String} text
+   * @param {Number} start
+   * @returns {Set<Number>}
+   * @throws {TypeError} if the pattern cannot be matched
+   */
+  matchEnds(text, start) {
+    if (this.value !== '*') throw new TypeError(`Cannot match the pattern ${this.value}.`);
+    const ends = new Set();
+    for (let end = start; end <= text.length; end += 1) ends.add(end);
+    return ends;
+  }
+
+  /**
+   * Returns the source of a regular expression matching the same texts as the pattern
+   * @returns {String}
+   * @throws {TypeError} if the pattern cannot be expressed as a regular expression
+   */
+  regExpSource() {
+    if (this.value !== '*') throw new TypeError(`Cannot match the pattern ${this.value}.`);
+    return '[\\s\\S]*';
+  }
+
+  /**
+   * Returns a function telling whether a text matches the pattern
+   * @returns {function(String): Boolean}
+   * @throws {TypeError} if the pattern cannot be matched
+   */
+  compile() {
+    this.traverse((pattern) => {
+      if (pattern.constructor === Expressions.Pattern && pattern.value !== '*') {
+        throw new TypeError(`Cannot match the pattern ${pattern.value}.`);
+      }
+    });
+    return text => this.matchEnds(`${text}`, 0).has(`${text}`.length);
+  }
+
+  /**
+   * The pattern is entailed by the messages whose text field matches it
+   * @param {[Message]} store
+   * @param {EntailmentOptions=} options
+   * @returns {Entailment}
+   */
+  isEntailedBy(store, { textField = 'txt' } = {}) {
+    const matches = this.compile();
+    const witnesses = store.filter(message =>
+      message[textField] !== undefined && matches(message[textField]));
+    return entailment(store, witnesses.length > 0, witnesses);
+  }
+
+  /**
+   * Returns a regular expression matching the same texts as the pattern
+   * @returns {RegExp}
+   * @throws {TypeError} if the pattern has conjunctions other than at its top level
+   */
+  toRegExp() {
+    return new RegExp(`^(?:${this.regExpSource()})$`);
+  }
+
   toString() {
     return this.value;
   }
 };
 Expressions.String = class String extends Expressions.Pattern {
+  matchEnds(text, start) {
+    return new Set(text.startsWith(this.value, start) ? [start + this.value.length] : []);
+  }
+  regExpSource() {
+    return escapeRegExp(this.value);
+  }
   toString() {
-    return `"${this.value}"`;
+    const escapes = {
+      '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t',
+    };
+    // quotes, backslashes and control characters
+    const value = this.value.replace(/["\\]|[^ -~\u0080-\uffff]/g, character =>
+      escapes[character] || `\\u{${character.charCodeAt(0).toString(16)}}`);
+    return `"${value}"`;
   }
 };
 Expressions.Number = class Number extends Expression {
+  static get fields() {
+    return ['value'];
+  }
   constructor(value) {
     super();
     this.value = value;
@@ -95,6 +487,12 @@ Expressions.Number = class Number extends Expression {
   }
 };
 Expressions.Enter = class Enter extends Expressions.Instruction {
+  static get fields() {
+    return ['spaceId', 'statement'];
+  }
+  static get children() {
+    return ['spaceId', 'statement'];
+  }
   constructor(spaceId, statement) {
     super();
     this.spaceId = spaceId;
@@ -105,6 +503,12 @@ Expressions.Enter = class Enter extends Expressions.Instruction {
   }
 };
 Expressions.Exit = class Exit extends Expressions.Instruction {
+  static get fields() {
+    return ['spaceId', 'statement'];
+  }
+  static get children() {
+    return ['spaceId', 'statement'];
+  }
   constructor(spaceId, statement) {
     super();
     this.spaceId = spaceId;
@@ -115,6 +519,12 @@ Expressions.Exit = class Exit extends Expressions.Instruction {
   }
 };
 Expressions.Define = class Define extends Expressions.Instruction {
+  static get fields() {
+    return ['name', 'statement'];
+  }
+  static get children() {
+    return ['name', 'statement'];
+  }
   constructor(name, statement) {
     super();
     this.name = name;
@@ -125,6 +535,12 @@ Expressions.Define = class Define extends Expressions.Instruction {
   }
 };
 Expressions.ParallelExecution = class ParallelExecution extends Expressions.Statement {
+  static get fields() {
+    return ['statements'];
+  }
+  static get children() {
+    return ['statements'];
+  }
   constructor(left, right) {
     super();
     this.statements = right instanceof Expressions.ParallelExecution ? right.statements : [right];
@@ -135,61 +551,211 @@ Expressions.ParallelExecution = class ParallelExecution extends Expressions.Stat
   }
 };
 Expressions.PatternAnd = class PatternAnd extends Expressions.Pattern {
+  static get fields() {
+    return ['patterns'];
+  }
+  static get children() {
+    return ['patterns'];
+  }
   constructor(left, right) {
     super();
-    this.patterns = right instanceof Expressions.PatternAnd ? right.constraints : [right];
+    this.patterns = right instanceof Expressions.PatternAnd ? right.patterns : [right];
     this.patterns.unshift(left);
   }
+  matchEnds(text, start) {
+    const [first, ...rest] = this.patterns.map(pattern => pattern.matchEnds(text, start));
+    return new Set([...first].filter(end => rest.every(ends => ends.has(end))));
+  }
+  regExpSource() { // eslint-disable-line class-methods-use-this
+    throw new TypeError('Conjunctions can only be converted to a regular expression at the top level.');
+  }
+  toRegExp() {
+    const lookaheads = this.patterns.map(pattern => `(?=(?:${pattern.regExpSource()})$)`);
+    return new RegExp(`^${lookaheads.join('')}`);
+  }
   toString() {
     return `(${this.patterns.join(' & ')})`;
   }
 };
 Expressions.PatternOr = class PatternOr extends Expressions.Pattern {
+  static get fields() {
+    return ['patterns'];
+  }
+  static get children() {
+    return ['patterns'];
+  }
   constructor(left, right) {
     super();
     this.patterns = right instanceof Expressions.PatternOr ? right.patterns : [right];
     this.patterns.unshift(left);
   }
+  matchEnds(text, start) {
+    return new Set([].concat(...this.patterns.map(pattern => [...pattern.matchEnds(text, start)])));
+  }
+  regExpSource() {
+    return `(?:${this.patterns.map(pattern => pattern.regExpSource()).join('|')})`;
+  }
   toString() {
     return `${this.patterns.join(' v ')}`;
   }
 };
+Expressions.PatternConcatenation = class PatternConcatenation extends Expressions.Pattern {
+  static get fields() {
+    return ['patterns'];
+  }
+  static get children() {
+    return ['patterns'];
+  }
+  constructor(left, right) {
+    super();
+    this.patterns = right instanceof Expressions.PatternConcatenation ? right.patterns : [right];
+    this.patterns.unshift(left);
+  }
+  matchEnds(text, start) {
+    return this.patterns.reduce((starts, pattern) => new Set([].concat(...[...starts].map(from =>
+      [...pattern.matchEnds(text, from)]))), new Set([start]));
+  }
+  regExpSource() {
+    return this.patterns.map(pattern => pattern.regExpSource()).join('');
+  }
+  toString() {
+    return this.patterns.map(pattern =>
+      (pattern instanceof Expressions.PatternOr ? `(${pattern})` : pattern)).join(' . ');
+  }
+};
+Expressions.PatternRepetition = class PatternRepetition extends Expressions.Pattern {
+  static get fields() {
+    return ['pattern'];
+  }
+  static get children() {
+    return ['pattern'];
+  }
+  constructor(pattern) {
+    super();
+    this.pattern = pattern;
+  }
+  matchEnds(text, start) {
+    const ends = new Set([start]);
+    const pending = [start];
+    while (pending.length) {
+      this.pattern.matchEnds(text, pending.pop()).forEach((end) => {
+        if (!ends.has(end)) {
+          ends.add(end);
+          pending.push(end);
+        }
+      });
+    }
+    return ends;
+  }
+  regExpSource() {
+    return `(?:${this.pattern.regExpSource()})*`;
+  }
+  toString() {
+    return `[${this.pattern}]*`;
+  }
+};
 Expressions.LogicalAnd = class LogicalAnd extends Expressions.Constraint {
+  static get fields() {
+    return ['constraints'];
+  }
+  static get children() {
+    return ['constraints'];
+  }
   constructor(left, right) {
     super();
     this.constraints = right instanceof Expressions.LogicalAnd ? right.constraints : [right];
     this.constraints.unshift(left);
   }
+  isEntailedBy(store, options) {
+    const entailments = this.constraints.map(constraint => constraint.isEntailedBy(store, options));
+    return entailment(
+      store,
+      entailments.every(({ holds }) => holds),
+      [].concat(...entailments.map(({ witnesses }) => witnesses)),
+    );
+  }
   toString() {
     return `(${this.constraints.join(' & ')})`;
   }
 };
 Expressions.LogicalOr = class LogicalOr extends Expressions.Constraint {
+  static get fields() {
+    return ['constraints'];
+  }
+  static get children() {
+    return ['constraints'];
+  }
   constructor(left, right) {
     super();
     this.constraints = right instanceof Expressions.LogicalOr ? right.constraints : [right];
     this.constraints.unshift(left);
   }
+  isEntailedBy(store, options) {
+    const entailments = this.constraints.map(constraint => constraint.isEntailedBy(store, options));
+    return entailment(
+      store,
+      entailments.some(({ holds }) => holds),
+      [].concat(...entailments.map(({ witnesses }) => witnesses)),
+    );
+  }
   toString() {
     return `${this.constraints.join(' v ')}`;
   }
 };
 Expressions.Match = class Match extends Expression {
+  static get fields() {
+    return ['name', 'pattern'];
+  }
+  static get children() {
+    return ['pattern'];
+  }
   constructor(name, pattern) {
     super();
     this.name = name;
     this.pattern = pattern;
   }
+
+  /**
+   * Returns whether the field of the given [message] matches the pattern or comparison
+   * @param {Message} message
+   * @param {EntailmentOptions=} options
+   * @returns {Boolean}
+   */
+  isSatisfiedBy(message, options) {
+    const value = message[this.name];
+    if (value === undefined) return false;
+    if (this.pattern instanceof Expressions.Comparison) {
+      return this.pattern.isSatisfiedBy(value, options);
+    }
+    return this.pattern.compile()(value);
+  }
+
   toString() {
     return `${this.name}: ${this.pattern}`;
   }
 };
 Expressions.MatchList = class MatchList extends Expressions.Constraint {
-  constructor(item1, item2) {
+  static get fields() {
+    return ['list'];
+  }
+  static get children() {
+    return ['list'];
+  }
+  constructor(...matches) {
     super();
     this.list = {};
-    this.list[item1.name] = item1;
-    if (item2) this.list[item2.name] = item2;
+    matches.forEach((match) => { this.list[match.name] = match; });
+  }
+  serialize() {
+    return Object.assign(super.serialize(), {
+      list: Object.values(this.list).map(match => match.serialize()),
+    });
+  }
+  isEntailedBy(store, options) {
+    const matches = Object.values(this.list);
+    const witnesses = store.filter(message =>
+      matches.every(match => match.isSatisfiedBy(message, options)));
+    return entailment(store, witnesses.length > 0, witnesses);
   }
   toString() {
     return `{ ${Object.values(this.list).join(', ')} }`;
@@ -197,12 +763,40 @@ Expressions.MatchList = class MatchList extends Expressions.Constraint {
 };
 
 Expressions.ParametersList = class ParametersList extends Expression {
+  static get fields() {
+    return ['list'];
+  }
+  static get children() {
+    return ['list'];
+  }
   constructor(list) {
     super();
     this.list = list;
   }
 };
+Expressions.NamedParameter = class NamedParameter extends Expression {
+  static get fields() {
+    return ['name', 'value'];
+  }
+  static get children() {
+    return ['value'];
+  }
+  constructor(name, value) {
+    super();
+    this.name = name;
+    this.value = value;
+  }
+  toString() {
+    return `${this.name}: ${this.value}`;
+  }
+};
 Expressions.Procedure = class Procedure extends Expressions.Statement {
+  static get fields() {
+    return ['name', 'params'];
+  }
+  static get children() {
+    return ['params'];
+  }
   constructor(name, params) {
     super();
     this.name = name;
@@ -222,6 +816,9 @@ Expressions.Procedure = class Procedure extends Expressions.Statement {
   }
 };
 Expressions.Identifier = class Identifier extends Expression {
+  static get fields() {
+    return ['name'];
+  }
   constructor(name) {
     super();
     this.name = name;
@@ -231,6 +828,12 @@ Expressions.Identifier = class Identifier extends Expression {
   }
 };
 Expressions.If = class If extends Expressions.Instruction {
+  static get fields() {
+    return ['condition', 'statement'];
+  }
+  static get children() {
+    return ['condition', 'statement'];
+  }
   constructor(condition, statement) {
     super();
     this.condition = condition;
@@ -241,6 +844,12 @@ Expressions.If = class If extends Expressions.Instruction {
   }
 };
 Expressions.Repeat = class Repeat extends Expressions.Instruction {
+  static get fields() {
+    return ['statement'];
+  }
+  static get children() {
+    return ['statement'];
+  }
   constructor(statement) {
     super();
     this.statement = statement;
@@ -250,6 +859,12 @@ Expressions.Repeat = class Repeat extends Expressions.Instruction {
   }
 };
 Expressions.SequentialExecution = class SequentialExecution extends Expressions.Statement {
+  static get fields() {
+    return ['statement'];
+  }
+  static get children() {
+    return ['statement'];
+  }
   constructor(statement) {
     super();
     this.statement = statement;
@@ -259,6 +874,12 @@ Expressions.SequentialExecution = class SequentialExecution extends Expressions.
   }
 };
 Expressions.When = class When extends Expressions.Instruction {
+  static get fields() {
+    return ['condition', 'statement'];
+  }
+  static get children() {
+    return ['condition', 'statement'];
+  }
   constructor(condition, statement) {
     super();
     this.condition = condition;
@@ -269,6 +890,12 @@ Expressions.When = class When extends Expressions.Instruction {
   }
 };
 Expressions.Whenever = class Whenever extends Expressions.Instruction {
+  static get fields() {
+    return ['condition', 'statement'];
+  }
+  static get children() {
+    return ['condition', 'statement'];
+  }
   constructor(condition, statement) {
     super();
     this.condition = condition;
@@ -279,6 +906,12 @@ Expressions.Whenever = class Whenever extends Expressions.Instruction {
   }
 };
 Expressions.While = class While extends Expressions.Instruction {
+  static get fields() {
+    return ['condition', 'statement'];
+  }
+  static get children() {
+    return ['condition', 'statement'];
+  }
   constructor(condition, statement) {
     super();
     this.condition = condition;
@@ -289,6 +922,12 @@ Expressions.While = class While extends Expressions.Instruction {
   }
 };
 Expressions.Until = class Until extends Expressions.Instruction {
+  static get fields() {
+    return ['condition', 'statement'];
+  }
+  static get children() {
+    return ['condition', 'statement'];
+  }
   constructor(condition, statement) {
     super();
     this.condition = condition;
@@ -299,6 +938,12 @@ Expressions.Until = class Until extends Expressions.Instruction {
   }
 };
 Expressions.Unless = class Unless extends Expressions.Instruction {
+  static get fields() {
+    return ['condition', 'statement'];
+  }
+  static get children() {
+    return ['condition', 'statement'];
+  }
   constructor(condition, statement) {
     super();
     this.condition = condition;
@@ -313,24 +958,690 @@ Expressions.Skip = class Skip extends Expressions.Instruction {
     return 'skip';
   }
 };
-Expressions.SpacePath = class SpacePath extends Expressions.Instruction {
-  constructor(path) {
+Expressions.Comparison = class Comparison extends Expressions.Constraint {
+  static get fields() {
+    return ['left', 'right'];
+  }
+  static get children() {
+    return ['left', 'right'];
+  }
+  /**
+   * Symbol of the comparison operator
+   * @returns {String}
+   */
+  static get operator() {
+    return undefined;
+  }
+  /**
+   * Returns whether the [left] and [right] values are related by the operator
+   * @param {Number} left
+   * @param {Number} right
+   * @returns {Boolean}
+   */
+  static compare(left, right) { // eslint-disable-line no-unused-vars
+    return false;
+  }
+  /**
+   * @param {Expression?} left compared expression, null when comparing the value of a match
+   * @param {Expression} right
+   */
+  constructor(left, right) {
     super();
-    this.path = path;
+    this.left = left;
+    this.right = right;
+  }
+
+  /**
+   * Returns the value of the given [operand]
+   * @param {Expression} operand
+   * @param {EntailmentOptions=} options
+   * @returns {Number}
+   * @throws {TypeError} if the operand is not a number and there is no `evaluate` option
+   */
+  static evaluate(operand, { evaluate } = {}) {
+    if (operand instanceof Expressions.Number) return operand.value;
+    if (!evaluate) throw new TypeError(`Cannot evaluate ${operand} without an evaluate option.`);
+    return evaluate(operand);
   }
+
+  /**
+   * Returns whether the given [value] of a field is related to the right operand by the operator
+   * @param {String|Number} value
+   * @param {EntailmentOptions=} options
+   * @returns {Boolean}
+   */
+  isSatisfiedBy(value, options) {
+    return this.constructor.compare(Number(value), Comparison.evaluate(this.right, options));
+  }
+
+  /**
+   * Comparisons with a left operand hold by themselves, without witnesses
+   * @param {[Message]} store
+   * @param {EntailmentOptions=} options
+   * @returns {Entailment}
+   * @throws {TypeError} if the comparison has no left operand
+   */
+  isEntailedBy(store, options) {
+    if (!this.left) throw new TypeError(`Cannot evaluate ${this} outside a match.`);
+    const { evaluate } = Comparison;
+    return entailment(
+      store,
+      this.constructor.compare(evaluate(this.left, options), evaluate(this.right, options)),
+      [],
+    );
+  }
+
   toString() {
-    return `@ ${this.path}`;
+    const { operator } = this.constructor;
+    return this.left ? `${this.left} ${operator} ${this.right}` : `${operator} ${this.right}`;
   }
 };
-
-const Tokens = {
-  End: class End extends Token {
-    constructor() {
-      super(-1, 'EOF', null);
-    }
-  },
-  Instructions: {
-    As: class As extends Token {
+Expressions.LessThan = class LessThan extends Expressions.Comparison {
+  static get operator() {
+    return '<';
+  }
+  static compare(left, right) {
+    return left < right;
+  }
+};
+Expressions.LessOrEqual = class LessOrEqual extends Expressions.Comparison {
+  static get operator() {
+    return '<=';
+  }
+  static compare(left, right) {
+    return left <= right;
+  }
+};
+Expressions.GreaterThan = class GreaterThan extends Expressions.Comparison {
+  static get operator() {
+    return '>';
+  }
+  static compare(left, right) {
+    return left > right;
+  }
+};
+Expressions.GreaterOrEqual = class GreaterOrEqual extends Expressions.Comparison {
+  static get operator() {
+    return '>=';
+  }
+  static compare(left, right) {
+    return left >= right;
+  }
+};
+Expressions.Equal = class Equal extends Expressions.Comparison {
+  static get operator() {
+    return '=';
+  }
+  static compare(left, right) {
+    return left === right;
+  }
+};
+Expressions.NotEqual = class NotEqual extends Expressions.Comparison {
+  static get operator() {
+    return '!=';
+  }
+  static compare(left, right) {
+    return left !== right;
+  }
+};
+Expressions.Error = class Error extends Expressions.Statement {
+  static get fields() {
+    return ['diagnostic'];
+  }
+  /**
+   * Placeholder for the part of the code that could not be parsed in recovery mode
+   * @param {Diagnostic} diagnostic
+   */
+  constructor(diagnostic) {
+    super();
+    this.diagnostic = diagnostic;
+  }
+  toString() { // eslint-disable-line class-methods-use-this
+    return '<error>';
+  }
+};
+/**
+ * Path of a space, as a list of segments separated by `/`. Every segment is either the name of a
+ * child space as an Expressions.String, `..` for the parent space, `.` for the current space or
+ * `~` for the own space of the agent, which is only allowed as the first segment.
+ */
+Expressions.SpacePath = class SpacePath extends Expressions.Instruction {
+  static get fields() {
+    return ['segments'];
+  }
+  static get children() {
+    return ['segments'];
+  }
+  /**
+   * @param {[Expressions.String|String]|Expressions.String} segments
+   */
+  constructor(segments) {
+    super();
+    this.segments = [].concat(segments);
+  }
+
+  /**
+   * The only segment of paths naming a single space, as `@ "a"` was parsed before paths had
+   * several segments, and the list of segments otherwise
+   * @deprecated use segments
+   * @returns {Expressions.String|String|[Expressions.String|String]}
+   */
+  get path() {
+    return this.segments.length === 1 ? this.segments[0] : this.segments;
+  }
+
+  /**
+   * Calls [fn] with every expression of [root] and the normalized path of the space where it is
+   * evaluated, resolving the paths of `enter` and `exit` against their enclosing space. The body
+   * of `enter @ path` is evaluated in the space at `path`, the body of `exit @ path` in its parent.
+   * @param {Expression} root
+   * @param {function(Expression, Expressions.SpacePath)} fn
+   * @param {Expressions.SpacePath=} base space of [root], `~` by default
+   */
+  static traverse(root, fn, base = new Expressions.SpacePath('~')) {
+    root.traverse((expression, { space, path, outer }) => {
+      const current = expression === path ? outer : space;
+      fn(expression, current);
+      if ((expression instanceof Expressions.Enter || expression instanceof Expressions.Exit) &&
+        expression.spaceId instanceof Expressions.SpacePath
+      ) {
+        let inner = expression.spaceId.resolve(current);
+        if (expression instanceof Expressions.Exit) {
+          inner = new Expressions.SpacePath(['..']).resolve(inner);
+        }
+        return { space: inner, path: expression.spaceId, outer: current };
+      }
+      return { space: current };
+    }, { space: base.normalize() });
+  }
+
+  /**
+   * Returns whether the path starts at the own space of the agent instead of the current space
+   * @returns {Boolean}
+   */
+  isAbsolute() {
+    return this.segments[0] === '~';
+  }
+
+  /**
+   * Returns an equivalent path without `.` segments nor `..` segments following a name
+   * @returns {Expressions.SpacePath}
+   */
+  normalize() {
+    const segments = [];
+    this.segments.forEach((segment) => {
+      const last = segments[segments.length - 1];
+      if (segment === '.') return;
+      if (segment === '..' && last instanceof Expression) {
+        segments.pop();
+      } else {
+        segments.push(segment instanceof Expression ? segment.clone() : segment);
+      }
+    });
+    return new Expressions.SpacePath(segments.length ? segments : ['.']);
+  }
+
+  /**
+   * Returns the normalized path of this one taken from the space of the given [base] path
+   * @param {Expressions.SpacePath} base
+   * @returns {Expressions.SpacePath}
+   */
+  resolve(base) {
+    if (this.isAbsolute()) return this.normalize();
+    return new Expressions.SpacePath(base.segments.concat(this.segments)).normalize();
+  }
+
+  toString() {
+    return `@ ${this.segments.join('/')}`;
+  }
+};
+Expressions.Program = class Program extends Expression {
+  static get fields() {
+    return ['statements'];
+  }
+  static get children() {
+    return ['statements'];
+  }
+  /**
+   * Root of a program file, as returned by SculpParser#parseProgram
+   * @param {[Expression]} statements top-level statements, in order
+   */
+  constructor(statements = []) {
+    super();
+    this.statements = statements;
+  }
+
+  /**
+   * `def` statements of the program
+   * @returns {[Expressions.Define]}
+   */
+  get definitions() {
+    return this.statements.filter(statement => statement instanceof Expressions.Define);
+  }
+
+  /**
+   * Statements run when the program starts, every one but the definitions
+   * @returns {[Expression]}
+   */
+  get processes() {
+    return this.statements.filter(statement => !(statement instanceof Expressions.Define));
+  }
+
+  toString() {
+    return this.statements.join('\n');
+  }
+};
+
+/**
+ * Returns the classes whose instances are instances of both one of the [left] classes and one of
+ * the [right] ones, e.g. `[String]` for `[String, Number]` and `[Pattern, Comparison]`
+ * @param {[Function]} left
+ * @param {[Function]} right
+ * @returns {[Function]}
+ */
+function intersectTypes(left, right) {
+  const isSubclass = (type, other) => type === other || type.prototype instanceof other;
+  const types = left.filter(type => right.some(other => isSubclass(type, other)));
+  right.forEach((type) => {
+    if (!types.includes(type) && left.some(other => isSubclass(type, other))) types.push(type);
+  });
+  // subclasses of other classes of the result are redundant
+  return types.filter(type => !types.some(other => other !== type && isSubclass(type, other)));
+}
+
+Expressions.Placeholder = class Placeholder extends Expression {
+  static get fields() {
+    return ['name'];
+  }
+  /**
+   * Placeholder of a compiled template, e.g. `$message`, replaced by its insert when the template
+   * is instantiated
+   * @param {String} name
+   * @param {[Function]=} types classes the insert can be of, any Expression by default
+   */
+  constructor(name, types = [Expression]) {
+    super();
+    this.name = name;
+    this.types = types;
+  }
+
+  /**
+   * Narrows the types of the insert to the given [types], returns false, leaving them as they
+   * are, if none of them is compatible
+   * @param {[Function]} types
+   * @returns {Boolean}
+   */
+  expect(types) {
+    const narrowed = intersectTypes(this.types, types);
+    if (!narrowed.length) return false;
+    this.types = narrowed;
+    return true;
+  }
+
+  toString() {
+    return `$${this.name}`;
+  }
+};
+Expressions.InterpolatedString = class InterpolatedString extends Expressions.String {
+  static get fields() {
+    return ['parts'];
+  }
+  static get children() {
+    return ['parts'];
+  }
+  /**
+   * String of a compiled template interpolating placeholders, e.g. `"Hello ${name}!"`, replaced by
+   * an Expressions.String when the template is instantiated
+   * @param {[String|Expressions.Placeholder]} parts texts and placeholders, in order
+   */
+  constructor(parts) {
+    super();
+    this.parts = parts;
+  }
+
+  /**
+   * Returns the string made of the parts, with the value of the given [inserts] in place of the
+   * placeholders
+   * @param {Object.<String, Expressions.String|Expressions.Number>} inserts
+   * @returns {Expressions.String}
+   */
+  interpolate(inserts) {
+    return new Expressions.String(this.parts.map(part =>
+      (part instanceof Expressions.Placeholder ? `${inserts[part.name].value}` : part)).join(''));
+  }
+
+  toString() {
+    const text = this.parts.map((part) => {
+      if (part instanceof Expressions.Placeholder) return `\${${part.name}}`;
+      // dollar signs are escaped so texts never start placeholders
+      return new Expressions.String(part).toString().slice(1, -1).replace(/\$/g, '\\$');
+    });
+    return `"${text.join('')}"`;
+  }
+};
+
+/**
+ * Returns whether [expression] is of any of the given [types]. A placeholder is if its insert can
+ * be of one of them, which it is then expected to be.
+ * @param {Expression} expression
+ * @param {[Function]} types
+ * @returns {Boolean}
+ */
+function isOfType(expression, types) {
+  if (expression instanceof Expressions.Placeholder) return expression.expect(types);
+  return types.some(type => expression instanceof type);
+}
+
+/**
+ * Returns the given [insert] as an expression, strings and numbers being converted to
+ * Expressions.String and Expressions.Number, undefined if it is none of them
+ * @param {Expression|String|Number} insert
+ * @returns {Expression=}
+ */
+function toExpression(insert) {
+  if (insert instanceof Expression) return insert;
+  if (typeof insert === 'string') return new Expressions.String(insert);
+  if (typeof insert === 'number') return new Expressions.Number(insert);
+  return undefined;
+}
+
+/**
+ * Description of a parameter in a procedure signature. Signatures are lists whose items are
+ * either a class, a list of classes (any of them is accepted) or a ParameterDefinition, e.g.
+ * `{ post: [Expressions.String, { name: 'priority', type: Expressions.Number, default: 0 }] }`
+ * @typedef {Object} ParameterDefinition
+ * @property {Function|[Function]} type accepted class or classes
+ * @property {String=} name name used to give the parameter as `name: value`
+ * @property {Boolean=} optional whether the parameter can be omitted, implied by `default`. The
+ * parameters following one omitted without default cannot be given.
+ * @property {Expression|String|Number=} default value used when the parameter is omitted
+ * @property {Boolean=} rest whether the parameter takes all the remaining positional
+ * parameters, only allowed in the last position
+ */
+
+/**
+ * Returns the given [signature] with every parameter as a ParameterDefinition whose `type` is a
+ * list of classes and whose `default`, if any, is an Expression
+ * @param {String} name procedure name, used in error messages
+ * @param {[Function|[Function]|ParameterDefinition]} signature
+ * @returns {[ParameterDefinition]}
+ * @throws {TypeError} if the signature is not valid
+ */
+function normalizeSignature(name, signature) {
+  if (!(signature instanceof Array)) {
+    throw new TypeError(`Invalid signature of ${name}, expecting a list of parameters.`);
+  }
+  let hasOptional = false;
+  return signature.map((item, i) => {
+    const definition = typeof item === 'function' || item instanceof Array ?
+      { type: item } : Object.assign({}, item);
+    definition.type = [].concat(definition.type);
+    if (!definition.type.length || definition.type.some(type => typeof type !== 'function')) {
+      throw new TypeError(`Invalid type of parameter ${i} of ${name}, expecting classes.`);
+    }
+    if (definition.rest && i !== signature.length - 1) {
+      throw new TypeError(`Rest parameter ${i} of ${name} must be the last one.`);
+    }
+    if (definition.default !== undefined) {
+      if (typeof definition.default === 'string') {
+        definition.default = new Expressions.String(definition.default);
+      } else if (typeof definition.default === 'number') {
+        definition.default = new Expressions.Number(definition.default);
+      }
+      if (!definition.type.some(type => definition.default instanceof type)) {
+        throw new TypeError(`Invalid default value of parameter ${i} of ${name}.`);
+      }
+      definition.optional = true;
+    }
+    if (!definition.optional && !definition.rest && hasOptional) {
+      throw new TypeError(`Required parameter ${i} of ${name} cannot follow optional parameters.`);
+    }
+    hasOptional = hasOptional || Boolean(definition.optional);
+    return definition;
+  });
+}
+
+/**
+ * Matches the given [params] of the procedure [name] against its [signature]. Named parameters
+ * (Expressions.NamedParameter) fill the parameter with the same name, the rest fill the others
+ * in order. Parameters that are Expressions.Error are not checked.
+ * @param {String} name
+ * @param {[Function|[Function]|ParameterDefinition]} signature
+ * @param {[Expression]} params
+ * @returns {{params: [Expression]=, mismatch: Object=}} parameters in the order of the signature,
+ * with the defaults of omitted parameters and without names, or the description of the first
+ * mismatch found as `{ ErrorClass, description, code, param }`
+ */
+function matchSignature(name, signature, params) {
+  const definitions = normalizeSignature(name, signature);
+  const slots = definitions.map(() => undefined);
+  const positional = [];
+  let mismatch;
+  params.forEach((param) => {
+    if (mismatch) return;
+    if (!(param instanceof Expressions.NamedParameter)) {
+      positional.push(param);
+      return;
+    }
+    const index = definitions.findIndex(definition =>
+      definition.name === param.name && !definition.rest);
+    if (index === -1) {
+      mismatch = {
+        ErrorClass: SyntaxError,
+        description: `Procedure ${name} has no parameter named ${param.name}.`,
+        code: 'unknown-parameter',
+        param,
+      };
+    } else if (slots[index]) {
+      mismatch = {
+        ErrorClass: SyntaxError,
+        description: `Parameter ${param.name} of ${name} is given more than once.`,
+        code: 'duplicate-parameter',
+        param,
+      };
+    } else {
+      slots[index] = { value: param.value, label: param.name };
+    }
+  });
+  if (mismatch) return { mismatch };
+  let rest = [];
+  let next = 0;
+  definitions.forEach((definition, i) => {
+    if (definition.rest) {
+      rest = positional.slice(next).map((value, j) => ({ value, label: `at position ${next + j}` }));
+      next = positional.length;
+    } else if (!slots[i] && next < positional.length) {
+      slots[i] = { value: positional[next], label: `at position ${next}` };
+      next += 1;
+    }
+  });
+  const required = definitions.filter(definition => !definition.optional && !definition.rest);
+  const isMissing = definitions.some((definition, i) =>
+    !slots[i] && !definition.optional && !definition.rest);
+  if (next < positional.length || isMissing) {
+    const maximum = definitions.length;
+    let count = `${required.length}`;
+    if (definitions.some(definition => definition.rest)) count = `at least ${required.length}`;
+    else if (required.length !== maximum) count = `between ${required.length} and ${maximum}`;
+    return {
+      mismatch: {
+        ErrorClass: SyntaxError,
+        description: `Procedure ${name} requires ${count} parameters instead of ${params.length}.`,
+        code: 'arity-mismatch',
+      },
+    };
+  }
+  const filled = slots.map((slot, i) => slot || (definitions[i].default && {
+    value: definitions[i].default.clone(),
+  }));
+  // procedures are called with positional parameters, so an omitted parameter without default
+  // cannot be followed by given ones
+  const last = slots.map(Boolean).lastIndexOf(true);
+  const gap = filled.findIndex((slot, i) => !slot && i < last);
+  if (gap !== -1) {
+    const omitted = definitions[gap].name || `at position ${gap}`;
+    return {
+      mismatch: {
+        ErrorClass: SyntaxError,
+        description: `Parameter ${slots[last].label} of ${name} cannot be given without parameter ${omitted}, which has no default value.`,
+        code: 'missing-parameter',
+        param: slots[last].value,
+      },
+    };
+  }
+  definitions.forEach((definition, i) => {
+    if (mismatch) return;
+    const slotValues = definition.rest ? rest : [filled[i]];
+    slotValues.forEach((slot) => {
+      if (mismatch || !slot || slot.value instanceof Expressions.Error ||
+        isOfType(slot.value, definition.type)
+      ) {
+        return;
+      }
+      mismatch = {
+        ErrorClass: TypeError,
+        description: `Parameter ${slot.label} of ${name} must be of type ${definition.type.map(type => type.name).join(' or ')} instead of ${slot.value.constructor.name}.`,
+        code: 'type-mismatch',
+        param: slot.value,
+      };
+    });
+  });
+  if (mismatch) return { mismatch };
+  return {
+    params: filled.filter(slot => slot).map(slot => slot.value)
+      .concat(rest.map(slot => slot.value)),
+  };
+}
+
+/**
+ * Rebuilds the expression represented by [json], as produced by Expression#toJSON. When
+ * [validSignatures] is given, the procedures found are checked against it, and when
+ * [matchFields] is given, so are the fields of the matches.
+ * @param {ExpressionJSON|String} json object or JSON string
+ * @param {Object=} validSignatures
+ * @param {Object.<String, Function>=} classes expression classes by type, Expressions by default
+ * @param {[String]=} matchFields names of the valid fields
+ * @returns {Expression}
+ * @throws {TypeError} if [json] is not a valid representation of an expression
+ * @throws {ReferenceError} if a procedure is not in [validSignatures] or a field is not in
+ * [matchFields]
+ */
+Expressions.fromJSON = function fromJSON(
+  json,
+  validSignatures,
+  classes = Expressions,
+  matchFields,
+) {
+  const root = typeof json === 'string' ? JSON.parse(json) : json;
+  if (root.version !== undefined && root.version !== JSON_VERSION) {
+    throw new TypeError(`Unsupported JSON version ${root.version}, expecting ${JSON_VERSION}.`);
+  }
+  const deserialize = (value) => {
+    if (value instanceof Array) return value.map(deserialize);
+    if (!value || typeof value.type !== 'string') return value;
+    const ExpressionClass = classes[value.type];
+    if (!ExpressionClass || !(ExpressionClass.prototype instanceof Expression)) {
+      throw new TypeError(`Unknown expression type '${value.type}'.`);
+    }
+    const expression = Object.create(ExpressionClass.prototype);
+    ExpressionClass.fields.forEach((field) => {
+      if (!(field in value)) throw new TypeError(`Missing field '${field}' in ${value.type}.`);
+      expression[field] = deserialize(value[field]);
+    });
+    if (value.location) expression.location = value.location;
+    if (value.comments) expression.comments = value.comments;
+    // MatchList is serialized as an array of matches, but indexed by name
+    if (expression instanceof Expressions.MatchList) {
+      expression.list = expression.list.reduce((list, match) => {
+        if (match.name in list) throw new TypeError(`Duplicate field '${match.name}' in MatchList.`);
+        if (matchFields && !matchFields.includes(match.name)) {
+          throw new ReferenceError(`Unknown field '${match.name}'.`);
+        }
+        return Object.assign(list, { [match.name]: match });
+      }, {});
+    }
+    if (validSignatures && expression instanceof Expressions.Procedure) {
+      if (!Object.prototype.hasOwnProperty.call(validSignatures, expression.name)) {
+        throw new ReferenceError(`Unknown procedure '${expression.name}'.`);
+      }
+      const { mismatch } = matchSignature(
+        expression.name,
+        validSignatures[expression.name],
+        expression.params.list,
+      );
+      if (mismatch) throw new mismatch.ErrorClass(mismatch.description);
+    }
+    return expression;
+  };
+  return deserialize(root);
+};
+
+/**
+ * Returns the type of the operands [left] and [right] of `&` or `v`: Pattern if both are patterns,
+ * Constraint if both are constraints, undefined otherwise. Placeholders are expected to be of the
+ * type of the other operand, Constraint when both are placeholders.
+ * @param {Expression} left
+ * @param {Expression} right
+ * @returns {Function=} Expressions.Pattern or Expressions.Constraint
+ */
+function operandsType(left, right) {
+  const known = [left, right].filter(operand => !(operand instanceof Expressions.Placeholder));
+  const type = known.length && known.every(operand => operand instanceof Expressions.Pattern) ?
+    Expressions.Pattern : Expressions.Constraint;
+  return isOfType(left, [type]) && isOfType(right, [type]) ? type : undefined;
+}
+
+/**
+ * Abstract class for comparison operators, used either between two operands or as the value of
+ * a match, e.g. `count("a") >= 3` or `{ pid: > 10 }`
+ */
+class ComparisonToken extends Token {
+  /**
+   * @param {String} symbol
+   * @param {Function} ExpressionClass subclass of Expressions.Comparison produced
+   * @param {ParseContext} parser
+   */
+  constructor(symbol, ExpressionClass, parser) {
+    super(105, symbol, parser);
+    this.ExpressionClass = ExpressionClass;
+  }
+  nud() {
+    const right = this.parser.parseNextExpression(this.leftBindingPower);
+    return this.compare(null, right);
+  }
+  led(left) {
+    const right = this.parser.parseNextExpression(this.leftBindingPower);
+    return this.compare(left, right);
+  }
+  /**
+   * @param {Expression?} left
+   * @param {Expression} right
+   * @returns {Expressions.Comparison}
+   */
+  compare(left, right) {
+    const operands = [Expressions.Number, Expressions.Procedure, Expressions.Identifier];
+    const invalid = [left, right].find(operand => operand &&
+      !(operand instanceof Expressions.Error) && !isOfType(operand, operands));
+    if (invalid) {
+      throw this.parser.error(
+        SyntaxError,
+        `Invalid comparison ${this.symbol} with ${invalid.constructor.name}, expecting Number, Procedure or Identifier`,
+        invalid.location,
+        'invalid-operation',
+      );
+    }
+    return new this.ExpressionClass(left, right);
+  }
+}
+
+const Tokens = {
+  End: class End extends Token {
+    constructor(parser) {
+      super(-1, 'EOF', parser);
+    }
+  },
+  Instructions: {
+    As: class As extends Token {
       constructor(parser) {
         super(10, 'as', parser);
       }
@@ -397,7 +1708,7 @@ const Tokens = {
       }
       nud() {
         const statement =
-          this.parser.parseNextExpression(this.leftBindingPower, Expression.Statement);
+          this.parser.parseNextExpression(this.leftBindingPower, Expressions.Statement);
         return new Expressions.SequentialExecution(statement);
       }
     },
@@ -432,7 +1743,7 @@ const Tokens = {
         const condition =
           this.parser.parseNextExpression(this.leftBindingPower, Expressions.Constraint);
         this.parser.skipToken(Tokens.Instructions.Next);
-        const statement = this.parser.parseNextExpression(30, Expressions.statement);
+        const statement = this.parser.parseNextExpression(30, Expressions.Statement);
         return new Expressions.Unless(condition, statement);
       }
     },
@@ -449,7 +1760,7 @@ const Tokens = {
         const condition =
           this.parser.parseNextExpression(this.leftBindingPower, Expressions.Constraint);
         this.parser.skipToken(Tokens.Instructions.Do);
-        const statement = this.parser.parseNextExpression(30, Expressions.statement);
+        const statement = this.parser.parseNextExpression(30, Expressions.Statement);
         return new Expressions.When(condition, statement);
       }
     },
@@ -461,7 +1772,7 @@ const Tokens = {
         const condition =
           this.parser.parseNextExpression(this.leftBindingPower, Expressions.Constraint);
         this.parser.skipToken(Tokens.Instructions.Do);
-        const statement = this.parser.parseNextExpression(30, Expressions.statement);
+        const statement = this.parser.parseNextExpression(30, Expressions.Statement);
         return new Expressions.Whenever(condition, statement);
       }
     },
@@ -473,18 +1784,26 @@ const Tokens = {
         const condition =
           this.parser.parseNextExpression(this.leftBindingPower, Expressions.Constraint);
         this.parser.skipToken(Tokens.Instructions.Do);
-        const statement = this.parser.parseNextExpression(30, Expressions.statement);
+        const statement = this.parser.parseNextExpression(30, Expressions.Statement);
         return new Expressions.While(condition, statement);
       }
     },
   },
   Literals: {
     String: class String extends Token {
-      constructor(value, parser) {
+      /**
+       * @param {String} value
+       * @param {ParseContext} parser
+       * @param {[String|Expressions.Placeholder]=} parts texts and placeholders of a string
+       * interpolating placeholders
+       */
+      constructor(value, parser, parts) {
         super(10, 'string', parser);
         this.value = value;
+        this.parts = parts;
       }
       nud() {
+        if (this.parts) return new Expressions.InterpolatedString(this.parts);
         return new Expressions.String(this.value);
       }
     },
@@ -493,6 +1812,9 @@ const Tokens = {
         super(0, 'number', parser);
         this.value = value;
       }
+      nud() {
+        return new Expressions.Number(this.value);
+      }
     },
   },
   Operators: {
@@ -503,7 +1825,8 @@ const Tokens = {
     },
     LeftParentheses: class LeftParentheses extends Token {
       constructor(parser) {
-        super(40, '(', parser);
+        // procedure calls bind tighter than any other operator
+        super(130, '(', parser);
       }
       nud() {
         const expression = this.parser.parseNextExpression(10);
@@ -514,21 +1837,29 @@ const Tokens = {
         if (!(left instanceof Expressions.Identifier) ||
           !(left.name in this.parser.validSignatures)
         ) {
-          throw new SyntaxError(`Unexpected ${left}, expecting Identifier`);
+          throw this.parser.error(SyntaxError, `Unexpected ${left}, expecting Identifier`, left.location, 'unexpected-expression');
+        }
+        let params = new Expressions.ParametersList([]);
+        if (!(this.parser.token instanceof Tokens.Operators.RightParentheses)) {
+          params = this.parser.parseNextExpression(10);
         }
-        let params = this.parser.parseNextExpression(10);
         this.parser.skipToken(Tokens.Operators.RightParentheses);
         if (!(params instanceof Expressions.ParametersList)) {
           params = new Expressions.ParametersList([params]);
+          params.location = params.list[0].location;
         }
-        if (params.list.length !== this.parser.validSignatures[left.name].length) {
-          throw new SyntaxError(`Procedure ${left.name} requires ${this.parser.validSignatures[left.name].length} parameters instead of ${params.list.length}.`);
+        const { mismatch, params: list } = matchSignature(
+          left.name,
+          this.parser.validSignatures[left.name],
+          params.list,
+        );
+        if (mismatch) {
+          const location = mismatch.param ?
+            mismatch.param.location : this.parser.locationFrom(left.location.start);
+          const { ErrorClass, description, code } = mismatch;
+          throw this.parser.error(ErrorClass, description, location, code);
         }
-        this.parser.validSignatures[left.name].forEach((className, i) => {
-          if (!(params.list[i] instanceof className)) {
-            throw TypeError(`Parameter at position ${i} of ${left.name} must be of type ${className.name} instead of ${params.list[i].constructor.name}.`);
-          }
-        });
+        params.list = list;
         return new Expressions.Procedure(left.name, params);
       }
     },
@@ -537,12 +1868,24 @@ const Tokens = {
         super(90, '{', parser);
       }
       nud() {
-        const list = this.parser.parseNextExpression(
-          this.leftBindingPower,
-          [Expressions.MatchList, Expressions.Match],
-        );
+        const content = this.parser.parseNextExpression(this.leftBindingPower);
         this.parser.skipToken(Tokens.Operators.RightBracket);
-        return list instanceof Expressions.MatchList ? list : new Expressions.MatchList(list);
+        if (content instanceof Expressions.Error) return content;
+        const list = new Expressions.MatchList();
+        const items = content instanceof Expressions.ParametersList ? content.list : [content];
+        items.forEach((item) => {
+          if (item instanceof Expressions.NamedParameter) {
+            const fields = Object.keys(this.parser.matchFields).join(', ');
+            this.parser.fail(this.parser.error(SyntaxError, `Unknown field ${item.name}, expecting ${fields}.`, item.location, 'unknown-field'));
+          } else if (!(item instanceof Expressions.Match)) {
+            this.parser.fail(this.parser.error(SyntaxError, `Expecting Match but found ${item.constructor.name}.`, item.location, 'unexpected-expression'));
+          } else if (item.name in list.list) {
+            this.parser.fail(this.parser.error(SyntaxError, `Duplicate field ${item.name}.`, item.location, 'duplicate-field'));
+          } else {
+            list.list[item.name] = item;
+          }
+        });
+        return list;
       }
     },
     LeftSquareBracket: class LeftSquareBracket extends Token {
@@ -553,7 +1896,8 @@ const Tokens = {
         const pattern = this.parser.parseNextExpression(this.leftBindingPower, Expressions.Pattern);
         this.parser.skipToken(Tokens.Operators.RightSquareBracket);
         this.parser.skipToken(Tokens.Operators.Asterisk);
-        return new Expressions.Pattern(`[${pattern}]*`);
+        if (pattern instanceof Expressions.Error) return pattern;
+        return new Expressions.PatternRepetition(pattern);
       }
     },
     ListSeparator: class ListSeparator extends Token {
@@ -565,11 +1909,6 @@ const Tokens = {
         if (right instanceof Expressions.ParametersList) {
           right.list.unshift(left);
           return right;
-        } else if (right instanceof Expressions.MatchList) {
-          right.list[left.name] = left;
-          return right;
-        } else if (right instanceof Expressions.Match) {
-          return new Expressions.MatchList(left, right);
         }
         return new Expressions.ParametersList([left, right]);
       }
@@ -589,42 +1928,47 @@ const Tokens = {
         super(0, ')', parser);
       }
     },
-    Asterisk: class Asterisk extends Token {
+    Semicolon: class Semicolon extends Token {
       constructor(parser) {
-        super(0, '*', parser);
+        super(0, ';', parser);
       }
-      nud() {
-        return new Expressions.Pattern(this.symbol);
+    },
+    LessThan: class LessThan extends ComparisonToken {
+      constructor(parser) {
+        super('<', Expressions.LessThan, parser);
       }
     },
-    MatchBody: class MatchBody extends Token {
+    LessOrEqual: class LessOrEqual extends ComparisonToken {
       constructor(parser) {
-        super(110, 'txt', parser);
+        super('<=', Expressions.LessOrEqual, parser);
       }
-      nud() {
-        this.parser.skipToken(Tokens.Operators.Colon);
-        const content = this.parser.parseNextExpression(this.leftBindingPower, Expressions.Pattern);
-        return new Expressions.Match('txt', content);
+    },
+    GreaterThan: class GreaterThan extends ComparisonToken {
+      constructor(parser) {
+        super('>', Expressions.GreaterThan, parser);
       }
     },
-    MatchPID: class MatchPID extends Token {
+    GreaterOrEqual: class GreaterOrEqual extends ComparisonToken {
       constructor(parser) {
-        super(110, 'pid', parser);
+        super('>=', Expressions.GreaterOrEqual, parser);
       }
-      nud() {
-        this.parser.skipToken(Tokens.Operators.Colon);
-        const content = this.parser.parseNextExpression(this.leftBindingPower, Expressions.Pattern);
-        return new Expressions.Match('pid', content);
+    },
+    Equal: class Equal extends ComparisonToken {
+      constructor(parser) {
+        super('=', Expressions.Equal, parser);
       }
     },
-    MatchUser: class MatchUser extends Token {
+    NotEqual: class NotEqual extends ComparisonToken {
       constructor(parser) {
-        super(110, 'user', parser);
+        super('!=', Expressions.NotEqual, parser);
+      }
+    },
+    Asterisk: class Asterisk extends Token {
+      constructor(parser) {
+        super(0, '*', parser);
       }
       nud() {
-        this.parser.skipToken(Tokens.Operators.Colon);
-        const user = this.parser.parseNextExpression(this.leftBindingPower, Expressions.Pattern);
-        return new Expressions.Match('usr', user);
+        return new Expressions.Pattern(this.symbol);
       }
     },
     At: class At extends Token {
@@ -632,8 +1976,43 @@ const Tokens = {
         super(25, '@', parser);
       }
       nud() {
-        const path = this.parser.parseNextExpression(this.leftBindingPower, Expressions.String);
-        return new Expressions.SpacePath(path);
+        const segments = [this.segment(true)];
+        while (this.parser.token instanceof Tokens.Operators.Slash) {
+          this.parser.nextToken();
+          segments.push(this.segment(false));
+        }
+        return new Expressions.SpacePath(segments);
+      }
+      /**
+       * Parses the next segment of the path, `~` is only accepted as the [first] one
+       * @param {Boolean} first
+       * @returns {Expressions.String|String}
+       */
+      segment(first) {
+        const { token } = this.parser;
+        if (token instanceof Tokens.Operators.Parent ||
+          token instanceof Tokens.Operators.PatternConcatenation ||
+          (first && token instanceof Tokens.Operators.Home)
+        ) {
+          this.parser.nextToken();
+          return token.symbol;
+        }
+        return this.parser.parseNextExpression(130, Expressions.String);
+      }
+    },
+    Slash: class Slash extends Token {
+      constructor(parser) {
+        super(0, '/', parser);
+      }
+    },
+    Parent: class Parent extends Token {
+      constructor(parser) {
+        super(0, '..', parser);
+      }
+    },
+    Home: class Home extends Token {
+      constructor(parser) {
+        super(0, '~', parser);
       }
     },
     PatternConcatenation: class PatternConcatenation extends Token {
@@ -642,8 +2021,11 @@ const Tokens = {
       }
       led(left) {
         const right = this.parser.parseNextExpression(this.leftBindingPower, Expressions.Pattern);
-        if (left instanceof Expressions.Pattern) return new Expressions.Pattern(`${left} . ${right}`);
-        throw SyntaxError(`Expecting String or Pattern but found ${left.constructor.name}`);
+        if (right instanceof Expressions.Error) return right;
+        if (isOfType(left, [Expressions.Pattern])) {
+          return new Expressions.PatternConcatenation(left, right);
+        }
+        throw this.parser.error(SyntaxError, `Expecting String or Pattern but found ${left.constructor.name}`, left.location, 'unexpected-expression');
       }
     },
     Parallel: class Parallel extends Token {
@@ -652,10 +2034,10 @@ const Tokens = {
       }
       led(left) {
         const right = this.parser.parseNextExpression(this.leftBindingPower, Expressions.Statement);
-        if (left instanceof Expressions.Statement) {
+        if (isOfType(left, [Expressions.Statement])) {
           return new Expressions.ParallelExecution(left, right);
         }
-        throw SyntaxError(`Expecting Statement but found ${left.constructor.name}`);
+        throw this.parser.error(SyntaxError, `Expecting Statement but found ${left.constructor.name}`, left.location, 'unexpected-expression');
       }
     },
     Placeholder: class Placeholder extends Token {
@@ -665,10 +2047,24 @@ const Tokens = {
       nud() {
         const identifier =
           this.parser.parseNextExpression(this.leftBindingPower, Expressions.Identifier);
+        if (this.parser.isCompilingTemplate) return new Expressions.Placeholder(identifier.name);
+        // every occurrence of a placeholder gets its own copy of the insert
         if (identifier.name in this.parser.inserts) {
-          return this.parser.inserts[[identifier.name]];
+          const insert = toExpression(this.parser.inserts[identifier.name]);
+          if (insert) return insert.clone();
+          throw this.parser.error(
+            TypeError,
+            `Invalid insert for placeholder '${identifier.name}', expecting an Expression, a string or a number.`,
+            this.parser.locationFrom(this.location.start),
+            'invalid-insert',
+          );
         }
-        throw new ReferenceError(`Insert for placeholder '${identifier.name}' not found.`);
+        throw this.parser.error(
+          ReferenceError,
+          `Insert for placeholder '${identifier.name}' not found.`,
+          this.parser.locationFrom(this.location.start),
+          'unknown-placeholder',
+        );
       }
     },
     LogicalAnd: class LogicalAnd extends Token {
@@ -680,15 +2076,20 @@ const Tokens = {
           this.leftBindingPower,
           [Expressions.Constraint, Expressions.Pattern],
         );
-        if (left instanceof Expressions.Pattern && right instanceof Expressions.Pattern) {
+        if (left instanceof Expressions.Error) return left;
+        if (right instanceof Expressions.Error) return right;
+        const type = operandsType(left, right);
+        if (type === Expressions.Pattern) {
           return new Expressions.PatternAnd(left, right);
-        } else if (
-          left instanceof Expressions.Constraint &&
-          right instanceof Expressions.Constraint
-        ) {
+        } else if (type === Expressions.Constraint) {
           return new Expressions.LogicalAnd(left, right);
         }
-        throw SyntaxError(`Invalid operation And between ${left.constructor.name} and ${right.constructor.name}`);
+        throw this.parser.error(
+          SyntaxError,
+          `Invalid operation And between ${left.constructor.name} and ${right.constructor.name}`,
+          this.parser.locationFrom(left.location.start),
+          'invalid-operation',
+        );
       }
     },
     LogicalOr: class LogicalOr extends Token {
@@ -700,137 +2101,851 @@ const Tokens = {
           this.leftBindingPower,
           [Expressions.Constraint, Expressions.Pattern],
         );
-        if (left instanceof Expressions.Pattern && right instanceof Expressions.Pattern) {
+        if (left instanceof Expressions.Error) return left;
+        if (right instanceof Expressions.Error) return right;
+        const type = operandsType(left, right);
+        if (type === Expressions.Pattern) {
           return new Expressions.PatternOr(left, right);
-        } else if (
-          left instanceof Expressions.Constraint &&
-          right instanceof Expressions.Constraint
-        ) {
+        } else if (type === Expressions.Constraint) {
           return new Expressions.LogicalOr(left, right);
         }
-        throw SyntaxError(`Invalid operation Or between ${left.constructor.name} and ${right.constructor.name}`);
+        throw this.parser.error(
+          SyntaxError,
+          `Invalid operation Or between ${left.constructor.name} and ${right.constructor.name}`,
+          this.parser.locationFrom(left.location.start),
+          'invalid-operation',
+        );
       }
     },
   },
+  MatchField: class MatchField extends Token {
+    constructor(symbol, parser) {
+      super(110, symbol, parser);
+    }
+    nud() {
+      const { name, type } = this.parser.matchFields[this.symbol];
+      this.parser.skipToken(Tokens.Operators.Colon);
+      const value = this.parser.parseNextExpression(this.leftBindingPower, type);
+      return new Expressions.Match(name, value);
+    }
+  },
   Identifier: class Identifier extends Token {
     constructor(name, parser) {
       super(0, name, parser);
     }
     nud() {
-      if (this.parser.validSignatures[this.symbol] &&
-          this.parser.validSignatures[this.symbol].length === 0
+      if (this.parser.token instanceof Tokens.Operators.Colon) {
+        this.parser.nextToken();
+        const value = this.parser.parseNextExpression(110);
+        return new Expressions.NamedParameter(this.symbol, value);
+      }
+      // procedures without required parameters can be called without parentheses
+      if (this.symbol in this.parser.validSignatures &&
+        (!(this.parser.token instanceof Tokens.Operators.LeftParentheses) ||
+          this.parser.startsStatement())
       ) {
-        return new Expressions.Procedure(this.symbol);
+        const { params } = matchSignature(
+          this.symbol,
+          this.parser.validSignatures[this.symbol],
+          [],
+        );
+        if (params) {
+          return new Expressions.Procedure(this.symbol, new Expressions.ParametersList(params));
+        }
       }
       return new Expressions.Identifier(this.symbol);
     }
   },
 };
 
-class SculpParser {
-  constructor(validSignatures) {
-    this.validSignatures = validSignatures;
-    this.inserts = [];
-  }
-  /**
-   * @param {String} raw sculp code
-   * @param {[Expression]=} inserts expressions to insert in placeholders
-   */
-  parse(raw, inserts) {
-    this.inserts = inserts || [];
-    this.isInTemplateMode = this.inserts !== undefined;
-    this.tokenStream = this.tokenizeRaw(raw);
+Object.assign(Tokens.Operators, {
+  MatchBody: class MatchBody extends Tokens.MatchField {
+    constructor(parser) {
+      super('txt', parser);
+    }
+  },
+  MatchPID: class MatchPID extends Tokens.MatchField {
+    constructor(parser) {
+      super('pid', parser);
+    }
+  },
+  MatchUser: class MatchUser extends Tokens.MatchField {
+    constructor(parser) {
+      super('usr', parser);
+    }
+  },
+});
+
+/**
+ * Classes of the tokens of the default fields, other fields are read as Tokens.MatchField
+ */
+const fieldTokens = Object.assign(Object.create(null), {
+  txt: Tokens.Operators.MatchBody,
+  pid: Tokens.Operators.MatchPID,
+  usr: Tokens.Operators.MatchUser,
+});
+
+/**
+ * Built-in keywords and operators, mapped to the class of their token
+ */
+const keywords = {
+  // Operators
+  '@': Tokens.Operators.At,
+  '*': Tokens.Operators.Asterisk,
+  '.': Tokens.Operators.PatternConcatenation,
+  '/': Tokens.Operators.Slash,
+  '..': Tokens.Operators.Parent,
+  '~': Tokens.Operators.Home,
+  '(': Tokens.Operators.LeftParentheses,
+  ')': Tokens.Operators.RightParentheses,
+  ',': Tokens.Operators.ListSeparator,
+  ';': Tokens.Operators.Semicolon,
+  '||': Tokens.Operators.Parallel,
+  ':': Tokens.Operators.Colon,
+  '&': Tokens.Operators.LogicalAnd,
+  v: Tokens.Operators.LogicalOr,
+  '{': Tokens.Operators.LeftBracket,
+  '}': Tokens.Operators.RightBracket,
+  '[': Tokens.Operators.LeftSquareBracket,
+  ']': Tokens.Operators.RightSquareBracket,
+  '<': Tokens.Operators.LessThan,
+  '<=': Tokens.Operators.LessOrEqual,
+  '>': Tokens.Operators.GreaterThan,
+  '>=': Tokens.Operators.GreaterOrEqual,
+  '=': Tokens.Operators.Equal,
+  '!=': Tokens.Operators.NotEqual,
+
+  // Instructions
+  as: Tokens.Instructions.As,
+  do: Tokens.Instructions.Do,
+  enter: Tokens.Instructions.Enter,
+  exit: Tokens.Instructions.Exit,
+  def: Tokens.Instructions.Define,
+  if: Tokens.Instructions.If,
+  next: Tokens.Instructions.Next,
+  repeat: Tokens.Instructions.Repeat,
+  skip: Tokens.Instructions.Skip,
+  then: Tokens.Instructions.Then,
+  until: Tokens.Instructions.Until,
+  unless: Tokens.Instructions.Unless,
+  when: Tokens.Instructions.When,
+  whenever: Tokens.Instructions.Whenever,
+  while: Tokens.Instructions.While,
+};
+
+/**
+ * Returns whether [child] is one of the children of [parent]
+ * @param {Expression} parent
+ * @param {Expression} child
+ * @returns {Boolean}
+ */
+function isChild(parent, child) {
+  return parent.getChildren().includes(child);
+}
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {String} severity 'error'
+ * @property {String} code machine readable identifier of the problem, e.g. 'unknown-token'
+ * @property {String} message
+ * @property {SourceLocation} range
+ */
+
+/**
+ * Tokens where the parser resumes after an error in recovery mode
+ */
+const synchronizationTokens = [
+  Tokens.End,
+  Tokens.Operators.Semicolon,
+  Tokens.Operators.Parallel,
+  Tokens.Operators.RightParentheses,
+  Tokens.Operators.RightBracket,
+  Tokens.Operators.RightSquareBracket,
+  Tokens.Instructions.As,
+  Tokens.Instructions.Do,
+  Tokens.Instructions.Next,
+  Tokens.Instructions.Then,
+  Tokens.Instructions.Until,
+];
+
+/**
+ * Definition of a keyword or operator. Its nud and led parse the code through `this.parser`, the
+ * ParseContext of the call, e.g. `this.parser.parseNextExpression(30, Expressions.Statement)`.
+ * @typedef {Object} KeywordDefinition
+ * @property {Number=} bindingPower left binding power of the token, 0 by default
+ * @property {function(): Expression=} nud called with the token as `this` when it starts an
+ * expression
+ * @property {function(Expression): Expression=} led called with the token as `this` and the
+ * expression at its left when it continues an expression
+ * @property {String=} name name of the token class, used in error messages
+ */
+
+/**
+ * Symbols recognized by a parser, as returned by SculpParser#tokenTable. Lists of symbols are
+ * sorted from the longest to the shortest, so they can be joined into regular expressions.
+ * @typedef {Object} TokenTable
+ * @property {[String]} keywords words of the instructions, matched in any case
+ * @property {[String]} wordOperators operators written as words, like `v`
+ * @property {[String]} operators operators and brackets made of punctuation characters
+ * @property {[String]} matchFields names and aliases of the fields of the messages, in lower case
+ * since they are matched in any case like the keywords
+ * @property {[String]} procedures names of the valid procedures
+ */
+
+/**
+ * Definition of a field of the messages matched by `{ field: pattern }` constraints
+ * @typedef {Object} MatchFieldDefinition
+ * @property {Function|[Function]=} type accepted classes of the value, Pattern or Comparison by
+ * default
+ * @property {[String]=} aliases other names of the field, matches are always named after the field
+ */
+
+/** @type {Object.<String, MatchFieldDefinition>} */
+const defaultMatchFields = {
+  txt: {},
+  pid: {},
+  usr: {},
+};
+
+/**
+ * Returns the fields of the given [definitions] indexed by name and alias in lower case, matches
+ * being named after the field as defined
+ * @param {Object.<String, MatchFieldDefinition>} definitions
+ * @param {SculpParser} parser parser whose keywords and procedures the fields cannot conflict with
+ * @returns {Object.<String, {name: String, type: [Function]}>}
+ * @throws {TypeError} if a definition is not valid
+ */
+function normalizeMatchFields(definitions, parser) {
+  const fields = Object.create(null);
+  Object.keys(definitions).forEach((name) => {
+    const definition = definitions[name] || {};
+    const field = {
+      name,
+      type: [].concat(definition.type || [Expressions.Pattern, Expressions.Comparison]),
+    };
+    if (field.type.some(type => typeof type !== 'function')) {
+      throw new TypeError(`Invalid type of field ${name}, expecting classes.`);
+    }
+    [name].concat(definition.aliases || []).forEach((symbol) => {
+      if (typeof symbol !== 'string' || !/^[a-z_][\w-]*$/i.test(symbol)) {
+        throw new TypeError(`Invalid field name '${symbol}', expecting a word.`);
+      }
+      if (symbol.toLowerCase() in parser.keywords || parser.signatureOf(symbol)) {
+        throw new TypeError(`Field '${symbol}' conflicts with a keyword or procedure.`);
+      }
+      if (symbol.toLowerCase() in fields) {
+        throw new TypeError(`Field '${symbol}' is defined more than once.`);
+      }
+      fields[symbol.toLowerCase()] = field;
+    });
+  });
+  return fields;
+}
+
+/**
+ * @typedef {Object} PlaceholderDefinition
+ * @property {String} name
+ * @property {[Function]} types classes the insert can be of
+ * @property {SourceLocation} location first occurrence of the placeholder
+ */
+
+/**
+ * Code compiled by SculpParser#compileTemplate, instantiated with different inserts in its
+ * placeholders without parsing it again
+ */
+class Template {
+  /**
+   * @param {Expression} tree parsed code, with Expressions.Placeholder in place of the inserts
+   * @param {Source} source code of the template
+   * @throws {TypeError} if the occurrences of a placeholder cannot have an insert of a same type
+   */
+  constructor(tree, source) {
+    this.tree = tree;
+    this.source = source;
+    /** @type {[PlaceholderDefinition]} placeholders in order of appearance */
+    this.placeholders = [];
+    const typeNames = types => types.map(type => type.name).join(' or ');
+    tree.applyTo(Expressions.Placeholder, (placeholder) => {
+      const { name, types, location } = placeholder;
+      const definition = this.placeholders.find(other => other.name === name);
+      if (!definition) {
+        this.placeholders.push({ name, types, location });
+        return;
+      }
+      const common = intersectTypes(definition.types, types);
+      if (!common.length) {
+        throw createError(source, TypeError, `Placeholder '${name}' cannot be of type ${typeNames(definition.types)} and ${typeNames(types)} at once.`, location, 'type-mismatch');
+      }
+      definition.types = common;
+    });
+  }
+
+  /**
+   * Returns the given [inserts] of the placeholders as expressions, checking their types
+   * @param {Object.<String, Expression|String|Number>} inserts expressions, strings or numbers to
+   * insert in the placeholders, by name
+   * @returns {Object.<String, Expression>}
+   * @throws {ReferenceError} if the insert of a placeholder is missing
+   * @throws {TypeError} if an insert is not of a type expected by its placeholder
+   */
+  validate(inserts = {}) {
+    return this.placeholders.reduce((expressions, { name, types, location }) => {
+      if (!Object.prototype.hasOwnProperty.call(inserts, name)) {
+        throw createError(this.source, ReferenceError, `Insert for placeholder '${name}' not found.`, location, 'unknown-placeholder');
+      }
+      const expression = toExpression(inserts[name]);
+      if (!expression) {
+        throw createError(this.source, TypeError, `Invalid insert for placeholder '${name}', expecting an Expression, a string or a number.`, location, 'invalid-insert');
+      }
+      if (!isOfType(expression, types)) {
+        throw createError(this.source, TypeError, `Insert for placeholder '${name}' must be of type ${types.map(type => type.name).join(' or ')} instead of ${expression.constructor.name}.`, location, 'type-mismatch');
+      }
+      return Object.assign(expressions, { [name]: expression });
+    }, {});
+  }
+
+  /**
+   * Returns the code of the template with a copy of the given [inserts] in its placeholders,
+   * located where the placeholders are
+   * @param {Object.<String, Expression|String|Number>} inserts expressions, strings or numbers to
+   * insert in the placeholders, by name
+   * @returns {Expression}
+   * @throws {ReferenceError} if the insert of a placeholder is missing
+   * @throws {TypeError} if an insert is not of a type expected by its placeholder
+   */
+  instantiate(inserts) {
+    const expressions = this.validate(inserts);
+    return this.tree.clone().patch((expression) => {
+      let result = expression;
+      if (expression instanceof Expressions.Placeholder) {
+        result = expressions[expression.name].clone();
+      } else if (expression instanceof Expressions.InterpolatedString) {
+        result = expression.interpolate(expressions);
+      } else {
+        return expression;
+      }
+      result.location = expression.location;
+      if (expression.comments) result.comments = expression.comments;
+      return result;
+    });
+  }
+
+  toString() {
+    return this.tree.toString();
+  }
+}
+
+/**
+ * Identifiers of the classes found in the keys of the caches
+ * @type {WeakMap<Function, Number>}
+ */
+const typeIds = new WeakMap();
+let lastTypeId = 0;
+
+/**
+ * Returns a number identifying the given class, classes with the same name being different
+ * @param {Function} type
+ * @returns {Number}
+ */
+function typeId(type) {
+  if (!typeIds.has(type)) {
+    lastTypeId += 1;
+    typeIds.set(type, lastTypeId);
+  }
+  return typeIds.get(type);
+}
+
+/**
+ * Freezes the given [value] along with the objects it holds, so it can be shared
+ * @param {*} value
+ * @returns {*} [value]
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.keys(value).forEach(key => deepFreeze(value[key]));
+  }
+  return value;
+}
+
+/**
+ * Bounded cache of parse results, evicting the least recently used ones, e.g.
+ * `new SculpParser(validSignatures, { cache: new ParseCache(100) })`. The results are keyed by
+ * code and language of the parser, so a cache can be shared by several parsers. Cached results
+ * are frozen and shared by the calls parsing the same code, clone them to change them.
+ */
+class ParseCache {
+  /**
+   * @param {Number=} size maximum number of results kept
+   * @throws {TypeError} if [size] is not a positive integer
+   */
+  constructor(size = 100) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new TypeError(`Invalid cache size ${size}, expecting a positive integer.`);
+    }
+    this.size = size;
+    /** @type {Map<String, *>} from the least to the most recently used */
+    this.entries = new Map();
+    /** @type {Map<String, Number>} identifiers of the languages by SculpParser#languageKey */
+    this.languages = new Map();
+  }
+
+  /**
+   * Returns the number identifying the language of the given [key] in the keys of the entries
+   * @param {String} key
+   * @returns {Number}
+   */
+  languageId(key) {
+    if (!this.languages.has(key)) this.languages.set(key, this.languages.size + 1);
+    return this.languages.get(key);
+  }
+
+  /**
+   * Returns the value of [key], undefined if not cached, making it the most recently used
+   * @param {String} key
+   * @returns {*}
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Caches the [value] of [key], evicting the least recently used value if the cache is full
+   * @param {String} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.size) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.languages.clear();
+  }
+}
+
+/**
+ * State of a single parse of some code by a SculpParser. Every call of the parser gets its own
+ * context, so a parser can be shared and called again while parsing, e.g. by the nud of a keyword.
+ * Tokens are given the context as their `parser`, which exposes the valid signatures, keywords
+ * and match fields of the SculpParser along with the parsing methods.
+ */
+class ParseContext {
+  /**
+   * @param {SculpParser} parser
+   * @param {String} raw sculp code
+   * @param {Object=} options
+   * @param {Object.<String, Expression|String|Number>=} options.inserts expressions, strings or
+   * numbers to insert in placeholders, by name
+   * @param {Boolean=} options.isRecovering whether errors are recorded as diagnostics, see
+   * SculpParser#check
+   * @param {Boolean=} options.isCompilingTemplate whether placeholders are kept as
+   * Expressions.Placeholder, see SculpParser#compileTemplate
+   */
+  constructor(parser, raw, { inserts, isRecovering = false, isCompilingTemplate = false } = {}) {
+    this.parser = parser;
+    this.inserts = inserts || [];
+    this.isInTemplateMode = this.inserts !== undefined;
+    this.isRecovering = isRecovering;
+    this.isCompilingTemplate = isCompilingTemplate;
+    this.isParsingProgram = false;
+    this.isPanicking = false;
+    /** @type {[Diagnostic]} errors recorded in recovery mode */
+    this.diagnostics = [];
+    this.source = new Source(raw);
+    this.tokenStream = this.tokenizeRaw(raw);
+    this.token = undefined;
     this.nextToken();
+  }
+
+  /**
+   * @returns {Object} signatures of the valid procedures by name
+   */
+  get validSignatures() {
+    return this.parser.validSignatures;
+  }
+
+  /**
+   * @returns {Object.<String, Function>} keywords and operators recognized by the parser
+   */
+  get keywords() {
+    return this.parser.keywords;
+  }
+
+  /**
+   * @returns {Object.<String, {name: String, type: [Function]}>} fields by name and alias
+   */
+  get matchFields() {
+    return this.parser.matchFields;
+  }
+
+  /**
+   * Parses the code as a single expression, see SculpParser#parse
+   * @returns {Expression}
+   */
+  parseExpression() {
     const result = this.parseNextExpression();
-    if (!this.isInTemplateMode && !(result instanceof Expressions.Statement)) {
-      throw SyntaxError(`Unexpected token ${this.result.constructor.name}, expecting Statement`);
+    // the placeholder of a template at the root can only be replaced by a statement
+    if ((!this.isInTemplateMode || this.isCompilingTemplate) &&
+      !isOfType(result, [Expressions.Statement])
+    ) {
+      throw this.error(SyntaxError, `Unexpected token ${result.constructor.name}, expecting Statement`, result.location, 'unexpected-expression');
     }
     return result;
   }
+
+  /**
+   * Parses the code as a program, see SculpParser#parseProgram
+   * @returns {Expressions.Program}
+   */
+  parseProgram() {
+    this.isParsingProgram = true;
+    const statements = [];
+    while (!(this.token instanceof Tokens.End)) {
+      const first = this.token;
+      if (first instanceof Tokens.Operators.Semicolon) {
+        this.nextToken();
+      } else {
+        // errors in a new statement are not consequences of the previous ones
+        this.isPanicking = false;
+        statements.push(this.parseNextExpression(1, Expressions.Statement));
+        if (this.token === first) {
+          // tokens that start no expression are skipped when recovering
+          this.nextToken();
+        } else if (!(this.token instanceof Tokens.End) &&
+          !(this.token instanceof Tokens.Operators.Semicolon) &&
+          this.token.location.start.line === this.previousToken.location.end.line
+        ) {
+          const { line } = this.token.location.start;
+          this.fail(this.error(SyntaxError, `Unexpected token ${this.token.symbol}, expecting ; or a new line.`, this.token.location, 'unexpected-token'));
+          while (!(this.token instanceof Tokens.End) &&
+            !(this.token instanceof Tokens.Operators.Semicolon) &&
+            this.token.location.start.line === line
+          ) {
+            this.nextToken();
+          }
+        }
+      }
+    }
+    this.isParsingProgram = false;
+    const program = new Expressions.Program(statements);
+    program.location = this.source.location(0, this.source.raw.length);
+    return program;
+  }
+
+  /**
+   * Returns whether the current token starts a new statement of a program instead of continuing
+   * the expression before it, either because it cannot continue any expression or because it is
+   * a parenthesis starting a line, which groups a statement rather than giving the parameters of
+   * a call
+   * @returns {Boolean}
+   */
+  startsStatement() {
+    if (!this.isParsingProgram) return false;
+    return this.token.led === Token.prototype.led ||
+      (this.token instanceof Tokens.Operators.LeftParentheses &&
+        this.token.location.start.line > this.previousToken.location.end.line);
+  }
+
   /**
    * Tokenize the given [raw] code and return an iterator of tokens
    * @param {String} raw raw code to tokenize
    * @returns {IterableIterator<Token>}
    */
   * tokenizeRaw(raw) {
-    const tokenRegex = /\s*(\|\||[\w-]+|[^\w\s])/y;
-    let stringStart = 0;
+    // operators of more than one character are matched before single characters
+    const operators = Object.keys(this.keywords)
+      .filter(symbol => symbol.length > 1 && /^[^\w\s]+$/.test(symbol))
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp);
+    const tokenRegex = new RegExp(`\\s*(${operators.concat('-?\\d+(?:\\.\\d+)?(?![\\w-])', '[\\w-]+', '[^\\w\\s]').join('|')})`, 'y');
+    // comments found since the last token, attached to the next one
+    let comments = [];
+    const withComments = (next) => {
+      if (comments.length) next.comments = comments;
+      comments = [];
+      return next;
+    };
     let token = tokenRegex.exec(raw);
     while (token) {
-      // if stringStart > 0, a string is being read
-      if (stringStart > 0) {
-        // stop string read when " is found
-        if (token[1] === '"') {
-          const string = raw.substring(stringStart, tokenRegex.lastIndex - 1);
-          stringStart = 0;
-          yield new Tokens.Literals.String(string, this);
-        }
+      const start = tokenRegex.lastIndex - token[1].length;
+      if (token[1] === '/' && ['/', '*'].includes(raw[tokenRegex.lastIndex])) {
+        const comment = this.readComment(raw, start);
+        comments.push(comment);
+        if (comment.location.end.offset === raw.length) break;
+        tokenRegex.lastIndex = comment.location.end.offset;
+      } else if (token[1] === '"' || token[1] === "'") {
+        const { value, end, parts } = this.readString(raw, start);
+        const string = new Tokens.Literals.String(value, this, parts);
+        yield withComments(this.locateToken(string, start, end));
+        if (end === raw.length) break;
+        tokenRegex.lastIndex = end;
       } else if (this.isInTemplateMode && token[1] === '$') {
         // Meta-Operators
-        yield new Tokens.Operators.Placeholder(this);
+        yield withComments(this.locateToken(
+          new Tokens.Operators.Placeholder(this),
+          start,
+          tokenRegex.lastIndex,
+        ));
         token = tokenRegex.exec(raw);
-        yield new Tokens.Identifier(token[1], this);
+        if (!token) break;
+        yield this.locateToken(
+          new Tokens.Identifier(token[1], this),
+          tokenRegex.lastIndex - token[1].length,
+          tokenRegex.lastIndex,
+        );
       } else {
-        switch (token[1].toLowerCase()) {
-          // Operators
-          case '@': yield new Tokens.Operators.At(this); break;
-          case '*': yield new Tokens.Operators.Asterisk(this); break;
-          case '.': yield new Tokens.Operators.PatternConcatenation(this); break;
-          case '(': yield new Tokens.Operators.LeftParentheses(this); break;
-          case ')': yield new Tokens.Operators.RightParentheses(this); break;
-          case ',': yield new Tokens.Operators.ListSeparator(this); break;
-          case '||': yield new Tokens.Operators.Parallel(this); break;
-          case ':': yield new Tokens.Operators.Colon(this); break;
-          case '&': yield new Tokens.Operators.LogicalAnd(this); break;
-          case 'v': yield new Tokens.Operators.LogicalOr(this); break;
-          case '{': yield new Tokens.Operators.LeftBracket(this); break;
-          case '}': yield new Tokens.Operators.RightBracket(this); break;
-          case '[': yield new Tokens.Operators.LeftSquareBracket(this); break;
-          case ']': yield new Tokens.Operators.RightSquareBracket(this); break;
-
-          // Constraints
-          case 'txt': yield new Tokens.Operators.MatchBody(this); break;
-          case 'pid': yield new Tokens.Operators.MatchPID(this); break;
-          case 'usr': yield new Tokens.Operators.MatchUser(this); break;
-
-          // Instructions
-          case 'as': yield new Tokens.Instructions.As(this); break;
-          case 'do': yield new Tokens.Instructions.Do(this); break;
-          case 'enter': yield new Tokens.Instructions.Enter(this); break;
-          case 'exit': yield new Tokens.Instructions.Exit(this); break;
-          case 'def': yield new Tokens.Instructions.Define(this); break;
-          case 'if': yield new Tokens.Instructions.If(this); break;
-          case 'next': yield new Tokens.Instructions.Next(this); break;
-          case 'repeat': yield new Tokens.Instructions.Repeat(this); break;
-          case 'skip': yield new Tokens.Instructions.Skip(this); break;
-          case 'then': yield new Tokens.Instructions.Then(this); break;
-          case 'until': yield new Tokens.Instructions.Until(this); break;
-          case 'unless': yield new Tokens.Instructions.Unless(this); break;
-          case 'when': yield new Tokens.Instructions.When(this); break;
-          case 'whenever': yield new Tokens.Instructions.Whenever(this); break;
-          case 'while': yield new Tokens.Instructions.While(this); break;
-
-          // Literals
-          case '"': stringStart = tokenRegex.lastIndex; break;
-          default:
-            if (!(token[1] in this.validSignatures)) {
-              throw new SyntaxError(`Unknown token '${token[1]}'.`);
-            }
-            yield new Tokens.Identifier(token[1], this);
+        const location = this.source.location(start, tokenRegex.lastIndex);
+        let next = this.createToken(token[1]);
+        if (!next && /^[\w-]+$/.test(token[1]) && /^\s*:/.test(raw.substring(tokenRegex.lastIndex))) {
+          // names of named parameters
+          next = new Tokens.Identifier(token[1], this);
+        }
+        if (next) {
+          next.location = location;
+          yield withComments(next);
+        } else {
+          this.fail(this.error(SyntaxError, `Unknown token '${token[1]}'.`, location, 'unknown-token'));
         }
       }
       token = tokenRegex.exec(raw);
     }
-    if (stringStart === 0) {
-      yield new Tokens.End();
-    } else throw new SyntaxError('Unexpected EOF');
+    yield withComments(this.locateToken(new Tokens.End(this), raw.length, raw.length));
+  }
+
+  /**
+   * Reads the `//` line comment or `/* *\/` block comment of [raw] starting at [start]
+   * @param {String} raw
+   * @param {Number} start offset of the first slash
+   * @returns {Comment}
+   * @throws {SyntaxError} if a block comment is not terminated
+   */
+  readComment(raw, start) {
+    if (raw[start + 1] === '/') {
+      const newLine = raw.indexOf('\n', start);
+      const end = newLine === -1 ? raw.length : newLine;
+      return {
+        type: 'line',
+        value: raw.substring(start + 2, end).replace(/\r$/, ''),
+        location: this.source.location(start, end),
+      };
+    }
+    const close = raw.indexOf('*/', start + 2);
+    if (close === -1) {
+      this.fail(this.error(
+        SyntaxError,
+        'Unexpected EOF, unterminated comment',
+        this.source.location(start, raw.length),
+        'unterminated-comment',
+      ));
+    }
+    const end = close === -1 ? raw.length : close + 2;
+    return {
+      type: 'block',
+      value: raw.substring(start + 2, close === -1 ? raw.length : close),
+      location: this.source.location(start, end),
+    };
+  }
+
+  /**
+   * Reads the string literal of [raw] starting at [start], delimited by the quote found at that
+   * position. Supports the escape sequences \", \', \\, \$, \n, \r, \t and \u{hex code point}.
+   * When compiling a template, `${name}` interpolates the placeholder `name`.
+   * @param {String} raw
+   * @param {Number} start offset of the opening quote
+   * @returns {{value: String, end: Number, parts: [String|Expressions.Placeholder]=}} unescaped
+   * value, offset after the closing quote and, if the string interpolates placeholders, its texts
+   * and placeholders
+   * @throws {SyntaxError} if an escape sequence or placeholder is invalid or the string is not
+   * terminated
+   */
+  readString(raw, start) {
+    const quote = raw[start];
+    const escapes = {
+      '"': '"', "'": "'", '\\': '\\', $: '$', n: '\n', r: '\r', t: '\t',
+    };
+    let value = '';
+    const parts = [];
+    // offset in the value where the text after the last placeholder starts
+    let textStart = 0;
+    let i = start + 1;
+    while (i < raw.length && raw[i] !== quote) {
+      if (this.isCompilingTemplate && raw.startsWith('${', i)) {
+        const name = /^\$\{([\w-]+)\}/.exec(raw.substring(i));
+        if (name) {
+          const placeholder =
+            new Expressions.Placeholder(name[1], [Expressions.String, Expressions.Number]);
+          placeholder.location = this.source.location(i, i + name[0].length);
+          parts.push(value.substring(textStart), placeholder);
+          value += name[0];
+          textStart = value.length;
+          i += name[0].length;
+        } else {
+          this.fail(this.error(
+            SyntaxError,
+            'Invalid placeholder in string, expecting ${name}.', // eslint-disable-line no-template-curly-in-string
+            this.source.location(i, i + 2),
+            'invalid-placeholder',
+          ));
+          value += raw[i];
+          i += 1;
+        }
+      } else if (raw[i] !== '\\') {
+        value += raw[i];
+        i += 1;
+      } else if (raw[i + 1] in escapes) {
+        value += escapes[raw[i + 1]];
+        i += 2;
+      } else {
+        const codePoint = /^u\{([0-9a-fA-F]{1,6})\}/.exec(raw.substring(i + 1, i + 10));
+        if (codePoint && parseInt(codePoint[1], 16) <= 0x10FFFF) {
+          value += String.fromCodePoint(parseInt(codePoint[1], 16));
+          i += codePoint[0].length + 1;
+        } else {
+          const length = codePoint ? codePoint[0].length + 1 : Math.min(2, raw.length - i);
+          this.fail(this.error(
+            SyntaxError,
+            `Invalid escape sequence '${raw.substr(i, length)}' in string.`,
+            this.source.location(i, i + length),
+            'invalid-escape',
+          ));
+          value += raw.substr(i + 1, length - 1);
+          i += length;
+        }
+      }
+    }
+    if (i >= raw.length) {
+      this.fail(this.error(
+        SyntaxError,
+        'Unexpected EOF, unterminated string',
+        this.source.location(start, raw.length),
+        'unterminated-string',
+      ));
+      return { value, end: raw.length };
+    }
+    if (!parts.length) return { value, end: i + 1 };
+    parts.push(value.substring(textStart));
+    return { value, end: i + 1, parts: parts.filter(part => part !== '') };
+  }
+
+  /**
+   * Creates the token corresponding to the given [symbol], returns undefined if [symbol] is not
+   * recognized
+   * @param {String} symbol
+   * @returns {Token=}
+   */
+  createToken(symbol) {
+    const lowerCase = symbol.toLowerCase();
+    const TokenClass = this.keywords[lowerCase];
+    if (TokenClass) return new TokenClass(this);
+    if (/^-?\d+(?:\.\d+)?$/.test(symbol)) {
+      return new Tokens.Literals.Number(parseFloat(symbol), this);
+    }
+    if (this.matchFields[lowerCase]) {
+      const FieldToken = fieldTokens[lowerCase];
+      return FieldToken ? new FieldToken(this) : new Tokens.MatchField(lowerCase, this);
+    }
+    if (Object.prototype.hasOwnProperty.call(this.validSignatures, symbol)) {
+      return new Tokens.Identifier(symbol, this);
+    }
+    return undefined;
+  }
+
+  /**
+   * Sets the location of the given [token] to the range between [start] and [end] offsets
+   * @param {Token} token
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Token}
+   */
+  locateToken(token, start, end) {
+    token.location = this.source.location(start, end);
+    return token;
+  }
+
+  /**
+   * Returns the location from [start] to the end of the last consumed token
+   * @param {SourcePosition} start
+   * @returns {SourceLocation}
+   */
+  locationFrom(start) {
+    return { start, end: this.previousToken.location.end };
+  }
+
+  /**
+   * Creates an error of the given [ErrorClass] whose message includes the given [location] and an
+   * excerpt of the code being parsed pointing to it, see createError
+   * @param {Function} ErrorClass SyntaxError, TypeError or ReferenceError
+   * @param {String} description
+   * @param {SourceLocation=} location
+   * @param {String=} code identifier of the problem, kept in the `code` property of the error
+   * @returns {Error}
+   */
+  error(ErrorClass, description, location, code) {
+    return createError(this.source, ErrorClass, description, location, code);
+  }
+
+  /**
+   * Throws the given [error], or records it as a diagnostic when in recovery mode. Errors found
+   * while the parser is resynchronizing, or enclosing the location of an error already reported,
+   * are considered consequences of the previous one and discarded.
+   * @param {Error} error created by SculpParser#error
+   * @returns {Diagnostic}
+   * @throws {Error} if not in recovery mode
+   */
+  fail(error) {
+    if (!this.isRecovering) throw error;
+    const diagnostic = {
+      severity: 'error',
+      code: error.code,
+      message: error.description,
+      range: error.location,
+    };
+    const isCascade = this.isPanicking || this.diagnostics.some(({ range }) =>
+      range.start.offset >= error.location.start.offset &&
+      range.end.offset <= error.location.end.offset);
+    this.isPanicking = true;
+    if (!isCascade) this.diagnostics.push(diagnostic);
+    return diagnostic;
+  }
+
+  /**
+   * Calls [fn] returning its result. In recovery mode, errors thrown by [fn] are recorded, the
+   * tokens until the next synchronization token are skipped and an Expressions.Error is returned.
+   * @param {function(): Expression} fn
+   * @returns {Expression}
+   */
+  attempt(fn) {
+    if (!this.isRecovering) return fn();
+    try {
+      return fn();
+    } catch (error) {
+      if (!error.code) throw error;
+      const diagnostic = this.fail(error);
+      while (!synchronizationTokens.some(tokenClass => this.token instanceof tokenClass)) {
+        this.nextToken();
+      }
+      return new Expressions.Error(diagnostic);
+    }
   }
 
   /**
-   * Advances to the next token in the token stream
+   * Advances to the next token in the token stream. Comments of the current token not claimed by
+   * an expression are passed on to the next token.
    */
   nextToken() {
+    this.previousToken = this.token;
     this.token = this.tokenStream.next().value;
+    if (this.previousToken && this.previousToken.comments) {
+      this.token.comments = this.previousToken.comments.concat(this.token.comments || []);
+      this.previousToken.comments = undefined;
+    }
   }
 
   /**
@@ -840,8 +2955,16 @@ class SculpParser {
    */
   skipToken(tokenClass) {
     if (tokenClass && this.token instanceof tokenClass) {
+      this.isPanicking = false;
       this.nextToken();
-    } else throw SyntaxError(`Unexpected ${this.token.constructor.name} token, expecting ${tokenClass.name}`);
+    } else {
+      this.fail(this.error(
+        SyntaxError,
+        `Unexpected ${this.token.constructor.name} token, expecting ${tokenClass.name}`,
+        this.token.location,
+        'unexpected-token',
+      ));
+    }
   }
 
   /**
@@ -849,6 +2972,13 @@ class SculpParser {
    * given [rightBindingPower] is found
    *
    * Returns the the resulted expression if it is any of the [accepted] ones, throws if not.
+   * Every expression produced is located from its first token to the last consumed one. The
+   * comments preceding its first token are attached to the expression returned by its nud, and
+   * moved to the expression returned by a led unless the former is a child of the latter.
+   *
+   * In recovery mode, a token that cannot start an expression is left in place and an
+   * Expressions.Error, which is always accepted, is returned instead. A token that cannot
+   * continue an expression is reported and skipped.
    * @throws {SyntaxError} if the resulted expression is not of the [accepted] ones
    * @param {Number=} rightBindingPower
    * @param {Function|[Function]=} accepted
@@ -858,19 +2988,348 @@ class SculpParser {
     accepted = // eslint-disable-line no-param-reassign
       !accepted || accepted[0] ? accepted : [accepted];
     let currentToken = this.token;
+    const { start } = currentToken.location;
+    if (this.isRecovering && currentToken.nud === Token.prototype.nud) {
+      const error = new Expressions.Error(this.fail(this.error(SyntaxError, `Unexpected token ${currentToken.symbol}.`, currentToken.location, 'unexpected-token')));
+      error.location = { start, end: start };
+      return error;
+    }
+    const { comments } = currentToken;
+    currentToken.comments = undefined;
+    this.isPanicking = false;
     this.nextToken();
-    let left = currentToken.nud();
-    while (rightBindingPower <= this.token.leftBindingPower) {
+    let left = this.attempt(currentToken.nud.bind(currentToken));
+    left.location = this.locationFrom(start);
+    if (comments) left.comments = comments;
+    while (rightBindingPower <= this.token.leftBindingPower && !this.startsStatement()) {
       currentToken = this.token;
+      this.isPanicking = false;
       this.nextToken();
-      left = currentToken.led(left);
+      if (this.isRecovering && currentToken.led === Token.prototype.led) {
+        this.fail(this.error(SyntaxError, `Unexpected token ${currentToken.symbol}.`, currentToken.location, 'unexpected-token'));
+      } else {
+        const previous = left;
+        left = this.attempt(currentToken.led.bind(currentToken, left));
+        left.location = this.locationFrom(start);
+        if (previous.comments && !isChild(left, previous)) {
+          left.comments = previous.comments;
+          delete previous.comments;
+        }
+      }
     }
-    if (!accepted || accepted.some(className => left instanceof className)) {
+    if (!accepted || left instanceof Expressions.Error || isOfType(left, accepted)) {
       return left;
     }
     const acceptedNames = accepted.map(className => className.name).join(' or ');
-    throw new SyntaxError(`Expecting ${acceptedNames} but found ${left.constructor.name}.`);
+    const error = new Expressions.Error(this.fail(this.error(SyntaxError, `Expecting ${acceptedNames} but found ${left.constructor.name}.`, left.location, 'unexpected-expression')));
+    error.location = left.location;
+    return error;
+  }
+}
+
+class SculpParser {
+  /**
+   * @param {Object} validSignatures signatures of the valid procedures by name
+   * @param {Object=} options
+   * @param {Object.<String, MatchFieldDefinition>=} options.matchFields fields of the messages
+   * that can be matched by `{ field: pattern }` constraints, defaultMatchFields by default
+   * @param {ParseCache|Number=} options.cache cache of the parse results, or its size to create
+   * one, so the same code is not parsed again and its frozen result is shared, none by default
+   * @throws {TypeError} if a signature or field definition is not valid
+   */
+  constructor(validSignatures, options = {}) {
+    Object.keys(validSignatures).forEach(name => normalizeSignature(name, validSignatures[name]));
+    this.validSignatures = validSignatures;
+    /** @type {Object.<String, Function>} keywords and operators recognized by this parser */
+    this.keywords = Object.assign(Object.create(null), keywords);
+    /** @type {Object.<String, Function>} expression classes defined for this parser */
+    this.expressions = {};
+    /** @type {Object.<String, {name: String, type: [Function]}>} fields by name and alias */
+    this.matchFields = normalizeMatchFields(options.matchFields || defaultMatchFields, this);
+    /** @type {ParseCache=} cache of the results, none by default */
+    this.cache = typeof options.cache === 'number' ? new ParseCache(options.cache) : options.cache;
+    /** @type {{signatures: Map<String, Array>, key: String}=} last key of the language */
+    this.language = undefined;
+  }
+
+  /**
+   * Returns the signature of the procedure [name] with every parameter as a ParameterDefinition
+   * whose type is a list of classes
+   * @param {String} name
+   * @returns {[ParameterDefinition]=} undefined if [name] is not a valid procedure
+   */
+  signatureOf(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.validSignatures, name)) return undefined;
+    return normalizeSignature(name, this.validSignatures[name]);
+  }
+
+  /**
+   * Returns the symbols recognized by this parser, grouped by the way they are highlighted
+   * @returns {TokenTable}
+   */
+  tokenTable() {
+    const isWord = symbol => /^[\w-]+$/.test(symbol);
+    const operatorClasses = Object.values(Tokens.Operators);
+    const sort = list => list.sort((a, b) => b.length - a.length || (a < b ? -1 : 1));
+    const symbols = sort(Object.keys(this.keywords));
+    return {
+      keywords: symbols.filter(symbol =>
+        isWord(symbol) && !operatorClasses.includes(this.keywords[symbol])),
+      wordOperators: symbols.filter(symbol =>
+        isWord(symbol) && operatorClasses.includes(this.keywords[symbol])),
+      operators: symbols.filter(symbol => !isWord(symbol)),
+      matchFields: sort(Object.keys(this.matchFields)),
+      procedures: sort(Object.keys(this.validSignatures)),
+    };
+  }
+
+  /**
+   * Defines a new keyword for this parser, e.g. `parser.defineKeyword('every', { ... })`. The
+   * keyword is case insensitive like the built-in ones.
+   * @param {String} symbol word, letters, digits, _ and -
+   * @param {KeywordDefinition} definition
+   * @returns {Function} class of the token created for the keyword
+   * @throws {TypeError} if [symbol] is not a word or conflicts with a keyword, procedure or field
+   */
+  defineKeyword(symbol, definition) {
+    if (!/^[a-z_][\w-]*$/i.test(symbol)) {
+      throw new TypeError(`Invalid keyword '${symbol}', expecting a word.`);
+    }
+    return this.defineToken(symbol.toLowerCase(), definition);
+  }
+
+  /**
+   * Defines a new operator for this parser, e.g. `parser.defineOperator('->', { ... })`.
+   * @param {String} symbol one or more punctuation characters
+   * @param {KeywordDefinition} definition
+   * @returns {Function} class of the token created for the operator
+   * @throws {TypeError} if [symbol] is not valid or conflicts with an existing operator
+   */
+  defineOperator(symbol, definition) {
+    if (!/^[^\w\s"'$]+$/.test(symbol) || /^\/[/*]/.test(symbol)) {
+      throw new TypeError(`Invalid operator '${symbol}', expecting punctuation characters other than quotes, $ or comment delimiters.`);
+    }
+    return this.defineToken(symbol, definition);
+  }
+
+  /**
+   * @param {String} symbol
+   * @param {KeywordDefinition} definition
+   * @returns {Function}
+   */
+  defineToken(symbol, definition = {}) {
+    const {
+      bindingPower = 0, nud, led, name,
+    } = definition;
+    if (Object.prototype.hasOwnProperty.call(keywords, symbol)) {
+      throw new TypeError(`'${symbol}' conflicts with a built-in keyword.`);
+    }
+    if (symbol in this.keywords) {
+      throw new TypeError(`'${symbol}' is already defined.`);
+    }
+    if (Object.keys(this.validSignatures).some(procedure => procedure.toLowerCase() === symbol)) {
+      throw new TypeError(`'${symbol}' conflicts with the procedure ${symbol}.`);
+    }
+    if (Object.keys(this.matchFields).some(field => field.toLowerCase() === symbol)) {
+      throw new TypeError(`'${symbol}' conflicts with the field ${symbol}.`);
+    }
+    const TokenClass = class extends Token {
+      constructor(parser) {
+        super(bindingPower, symbol, parser);
+      }
+    };
+    Object.defineProperty(TokenClass, 'name', { value: name || symbol });
+    if (nud) TokenClass.prototype.nud = nud;
+    if (led) TokenClass.prototype.led = led;
+    this.keywords[symbol] = TokenClass;
+    this.language = undefined;
+    return TokenClass;
+  }
+
+  /**
+   * Defines a new expression class for this parser, so its instances can be rebuilt from JSON
+   * @param {Function} ExpressionClass subclass of Expression listing its state in `fields` and
+   * its child expressions in `children`
+   * @returns {Function} [ExpressionClass]
+   * @throws {TypeError} if [ExpressionClass] is not an Expression or its name is already used
+   */
+  defineExpression(ExpressionClass) {
+    if (typeof ExpressionClass !== 'function' ||
+      !(ExpressionClass.prototype instanceof Expression)
+    ) {
+      throw new TypeError('Expression classes must extend Expression.');
+    }
+    const { name } = ExpressionClass;
+    if (name in Expressions || name in this.expressions) {
+      throw new TypeError(`Expression ${name} is already defined.`);
+    }
+    this.expressions[name] = ExpressionClass;
+    return ExpressionClass;
+  }
+  /**
+   * Parses the given [raw] code as a single expression
+   * @param {String} raw sculp code
+   * @param {Object.<String, Expression|String|Number>=} inserts expressions, strings or numbers
+   * to insert in placeholders, by name
+   * @returns {Expression}
+   */
+  parse(raw, inserts) {
+    return this.cached('parse', raw, inserts, () =>
+      new ParseContext(this, raw, { inserts }).parseExpression());
+  }
+
+  /**
+   * Parses the given [raw] code as a program, a sequence of statements separated by new lines or
+   * semicolons. A statement continues in the next lines as long as they continue its expression,
+   * e.g. with `||`, except when they start with parentheses.
+   * @param {String} raw sculp code
+   * @param {Object.<String, Expression|String|Number>=} inserts expressions, strings or numbers
+   * to insert in placeholders, by name
+   * @returns {Expressions.Program}
+   * @throws {SyntaxError} if a statement is not valid or is followed by more code in its line
+   */
+  parseProgram(raw, inserts) {
+    return this.cached('program', raw, inserts, () =>
+      new ParseContext(this, raw, { inserts }).parseProgram());
+  }
+
+  /**
+   * Compiles the given [raw] code into a template, whose placeholders, `$name` or `${name}` inside
+   * strings, are filled by Template#instantiate without parsing the code again. The types of
+   * their inserts are inferred from where the placeholders are, e.g. `post($message)` expects
+   * the type of the first parameter of post, and `${name}` a string or a number.
+   * @param {String} raw sculp code
+   * @param {{program: Boolean=}=} options `program` to compile [raw] as SculpParser#parseProgram
+   * @returns {Template}
+   * @throws {SyntaxError} if the code is not valid or is not a statement
+   * @throws {TypeError} if a placeholder cannot have an insert of any type
+   */
+  compileTemplate(raw, { program = false } = {}) {
+    const context = new ParseContext(this, raw, { isCompilingTemplate: true });
+    const tree = program ? context.parseProgram() : context.parseExpression();
+    return new Template(tree, context.source);
+  }
+
+  /**
+   * Parses the given [raw] code without throwing on the first error. The parser resynchronizes at
+   * statement boundaries and replaces the code that could not be parsed with Expressions.Error
+   * nodes, so the partial tree is returned along with the diagnostics of every error found and
+   * the source, whose excerpts show them.
+   * @param {String} raw sculp code
+   * @param {Object.<String, Expression|String|Number>=} inserts expressions, strings or numbers
+   * to insert in placeholders, by name
+   * @returns {{result: Expression, diagnostics: [Diagnostic], source: Source}}
+   */
+  check(raw, inserts) {
+    return this.cached('check', raw, inserts, () => {
+      const context = new ParseContext(this, raw, { inserts, isRecovering: true });
+      const result = context.parseExpression();
+      return { result, diagnostics: context.diagnostics, source: context.source };
+    });
+  }
+
+  /**
+   * Parses the given [raw] code as SculpParser#parseProgram, recovering from errors as
+   * SculpParser#check
+   * @param {String} raw sculp code
+   * @param {Object.<String, Expression|String|Number>=} inserts expressions, strings or numbers
+   * to insert in placeholders, by name
+   * @returns {{result: Expressions.Program, diagnostics: [Diagnostic], source: Source}}
+   */
+  checkProgram(raw, inserts) {
+    return this.cached('checkProgram', raw, inserts, () => {
+      const context = new ParseContext(this, raw, { inserts, isRecovering: true });
+      const result = context.parseProgram();
+      return { result, diagnostics: context.diagnostics, source: context.source };
+    });
+  }
+
+  /**
+   * Returns the result of [parse], the [kind] of parse of [raw], from the cache of the parser if
+   * any, storing it there otherwise. Code with inserts is never cached, and cached results are
+   * frozen since every call parsing the same code gets the same result.
+   * @param {String} kind
+   * @param {String} raw
+   * @param {Object=} inserts
+   * @param {function(): (Expression|{result: Expression})} parse
+   * @returns {Expression|{result: Expression}}
+   */
+  cached(kind, raw, inserts, parse) {
+    if (!this.cache || (inserts && Object.keys(inserts).length)) return parse();
+    const key = `${kind}\n${this.cache.languageId(this.languageKey())}\n${raw}`;
+    let value = this.cache.get(key);
+    if (!value) {
+      value = deepFreeze(parse());
+      this.cache.set(key, value);
+    }
+    return value;
+  }
+
+  /**
+   * Returns a key identifying the language recognized by the parser, made of its procedure
+   * signatures, keywords and match fields, so a cache can be shared by several parsers. The key is
+   * computed again when a token is defined or a signature is added, removed or replaced. Signatures
+   * are compared by reference, so they must be replaced rather than changed in place.
+   * @returns {String}
+   */
+  languageKey() {
+    const { language } = this;
+    if (language) {
+      let count = 0;
+      const isCurrent = Object.keys(this.validSignatures).every((name) => {
+        count += 1;
+        return language.signatures.get(name) === this.validSignatures[name];
+      });
+      if (isCurrent && count === language.signatures.size) return language.key;
+    }
+    const names = Object.keys(this.validSignatures);
+    const signatures = names.slice().sort().map((name) => {
+      const params = normalizeSignature(name, this.validSignatures[name]).map(definition => [
+        definition.name,
+        definition.type.map(typeId).join('|'),
+        definition.optional,
+        definition.rest,
+        definition.default,
+      ].join(':'));
+      return `${name}(${params.join(',')})`;
+    });
+    const tokens = Object.keys(this.keywords).sort().map(symbol =>
+      `${symbol}=${typeId(this.keywords[symbol])}`);
+    const fields = Object.keys(this.matchFields).sort().map(symbol =>
+      `${symbol}=${this.matchFields[symbol].name}:${this.matchFields[symbol].type.map(typeId).join('|')}`);
+    this.language = {
+      signatures: new Map(names.map(name => [name, this.validSignatures[name]])),
+      key: [signatures, tokens, fields].map(list => list.join(' ')).join('\n'),
+    };
+    return this.language.key;
+  }
+
+  /**
+   * Rebuilds the expression represented by [json], checking its procedures against the valid
+   * signatures and its matches against the fields of the parser, and including the expression
+   * classes defined for it
+   * @param {ExpressionJSON|String} json object or JSON string
+   * @returns {Expression}
+   */
+  fromJSON(json) {
+    const fields = Array.from(new Set(Object.values(this.matchFields).map(({ name }) => name)));
+    return Expressions.fromJSON(
+      json,
+      this.validSignatures,
+      Object.assign({}, Expressions, this.expressions),
+      fields,
+    );
   }
 }
 
-module.exports = { SculpParser, Expressions, Tokens };
+module.exports = {
+  SculpParser,
+  ParseContext,
+  ParseCache,
+  Template,
+  Expression,
+  Expressions,
+  Tokens,
+  defaultMatchFields,
+  escapeRegExp,
+};
@@ -0,0 +1,312 @@
+const { Expressions } = require('./index');
+
+/**
+ * Context given to the procedure handlers
+ * @typedef {Object} ProcedureContext
+ * @property {Interpreter} interpreter
+ * @property {Number} time current time unit
+ * @property {Expressions.SpacePath} space normalized absolute path of the space of the call
+ * @property {[Message]} messages messages of the space, which can be modified by the handler
+ * @property {function(Message)} tell adds the given message to the space
+ */
+
+/**
+ * Handler of a procedure, called with the values of its parameters: strings and numbers for
+ * Expressions.String and Expressions.Number parameters, the expressions themselves for the rest.
+ * The value returned is used when the procedure is compared in a constraint.
+ * @typedef {function([*], ProcedureContext): *} ProcedureHandler
+ */
+
+/**
+ * @typedef {Object} InterpreterOptions
+ * @property {Object.<String, ProcedureHandler>=} handlers handlers of the procedures by name
+ * @property {String=} textField field of the messages matched by bare patterns, `txt` by default
+ */
+
+/**
+ * Record of a time unit, as returned by Interpreter#step
+ * @typedef {Object} TraceEntry
+ * @property {Number} time
+ * @property {[{name: String, params: [*], space: String}]} calls procedures called, in order
+ * @property {Object.<String, [Message]>} store copy of the messages of every space at the end of
+ * the time unit, by path
+ */
+
+/**
+ * Process waiting to be run, along with the conditions of the `do ... until` it is part of
+ * @typedef {Object} Process
+ * @property {Expression} statement
+ * @property {Expressions.SpacePath} space
+ * @property {[{condition: Expression, space: Expressions.SpacePath}]} watchers
+ */
+
+/**
+ * Returns the key of the given [space] in the store
+ * @param {Expressions.SpacePath} space
+ * @returns {String}
+ */
+function spaceKey(space) {
+  return space.segments.join('/');
+}
+
+/**
+ * Returns the value of the given parameter for the procedure handlers
+ * @param {Expression} param
+ * @returns {*}
+ */
+function paramValue(param) {
+  return param instanceof Expressions.String || param instanceof Expressions.Number ?
+    param.value : param;
+}
+
+/**
+ * Reference interpreter of SCULP programs. Time is divided in discrete units: during a time unit
+ * every process is run until no `when`, `whenever`, `if` or `while` condition waiting in it can
+ * fire anymore, then the processes that continue in the next unit (`next`, `repeat`, `whenever`,
+ * `while`, the bodies of `unless` whose condition does not hold, ...) are scheduled, except the
+ * ones inside a `do ... until` whose condition holds.
+ *
+ * Messages are kept by space and persist between time units. Constraints hold when they are
+ * satisfied by a message of the space where they are evaluated.
+ */
+class Interpreter {
+  /**
+   * @param {InterpreterOptions=} options
+   */
+  constructor(options = {}) {
+    this.handlers = options.handlers || {};
+    this.textField = options.textField || 'txt';
+    /** @type {Number} current time unit */
+    this.time = 0;
+    /** @type {Object.<String, [Message]>} messages by space */
+    this.store = {};
+    /** @type {Object.<String, Expression>} statements defined by `def`, by name */
+    this.definitions = {};
+    /** @type {[TraceEntry]} */
+    this.trace = [];
+    /** @type {[Process]} processes to run in the current time unit */
+    this.processes = [];
+    /** @type {[{name: String, params: [*], space: String}]} calls of the current time unit */
+    this.calls = [];
+  }
+
+  /**
+   * Schedules the given [statement] to run in the current time unit. The statements of programs
+   * are scheduled with their definitions first, so processes can call them from the start.
+   * @param {Expression} statement
+   * @param {Expressions.SpacePath=} space `~` by default
+   * @returns {Interpreter}
+   */
+  load(statement, space = new Expressions.SpacePath('~')) {
+    if (statement instanceof Expressions.Program) {
+      statement.definitions.concat(statement.processes).forEach(item => this.load(item, space));
+      return this;
+    }
+    this.processes.push({ statement, space: space.normalize(), watchers: [] });
+    return this;
+  }
+
+  /**
+   * Returns the messages of the given [space]
+   * @param {Expressions.SpacePath} space
+   * @returns {[Message]}
+   */
+  messages(space) {
+    const key = spaceKey(space);
+    if (!this.store[key]) this.store[key] = [];
+    return this.store[key];
+  }
+
+  /**
+   * Runs the current time unit and moves to the next one
+   * @returns {TraceEntry}
+   * @throws {TypeError} if a procedure has no handler, a process calls itself within the time
+   * unit or an expression is not supported
+   */
+  step() {
+    const queue = this.processes;
+    const waiting = [];
+    const unless = [];
+    const next = [];
+    this.calls = [];
+    const run = (process) => {
+      const {
+        statement, space, watchers, expanded = [],
+      } = process;
+      const spawn = (child, childSpace = space, childWatchers = watchers) => ({
+        statement: child, space: childSpace, watchers: childWatchers, expanded,
+      });
+      switch (statement.constructor) {
+        case Expressions.Skip:
+          break;
+        case Expressions.Procedure:
+          if (this.definitions[statement.name]) {
+            // a process calling itself before any next would never let the time unit end
+            if (expanded.includes(statement.name)) {
+              throw new TypeError(`Process ${statement.name} calls itself within a time unit.`);
+            }
+            queue.push(Object.assign(spawn(this.definitions[statement.name]), {
+              expanded: expanded.concat(statement.name),
+            }));
+          } else {
+            this.calls.push({
+              name: statement.name,
+              params: statement.params.list.map(paramValue),
+              space: spaceKey(space),
+            });
+            this.call(statement, space);
+          }
+          break;
+        case Expressions.ParallelExecution:
+          statement.statements.forEach(branch => queue.push(spawn(branch)));
+          break;
+        case Expressions.Enter:
+        case Expressions.Exit: {
+          let inner = statement.spaceId.resolve(space);
+          if (statement instanceof Expressions.Exit) {
+            inner = new Expressions.SpacePath('..').resolve(inner);
+          }
+          queue.push(spawn(statement.statement, inner));
+          break;
+        }
+        case Expressions.Define:
+          this.definitions[statement.name.value] = statement.statement;
+          break;
+        case Expressions.If:
+        case Expressions.When:
+          waiting.push({ process, body: statement.statement });
+          break;
+        case Expressions.Whenever:
+          waiting.push({ process, body: statement.statement });
+          next.push(process);
+          break;
+        case Expressions.While:
+          waiting.push({ process, body: statement.statement, then: process });
+          break;
+        case Expressions.Unless:
+          unless.push(process);
+          break;
+        case Expressions.Until:
+          queue.push(spawn(
+            statement.statement,
+            space,
+            watchers.concat({ condition: statement.condition, space }),
+          ));
+          break;
+        case Expressions.Repeat:
+          queue.push(spawn(statement.statement));
+          next.push(process);
+          break;
+        case Expressions.SequentialExecution:
+          next.push(spawn(statement.statement));
+          break;
+        default:
+          throw new TypeError(`Cannot run ${statement.constructor.name} expressions.`);
+      }
+    };
+    for (;;) {
+      while (queue.length) run(queue.shift());
+      const fired = waiting.filter(({ process }) =>
+        this.holds(process.statement.condition, process.space));
+      if (!fired.length) break;
+      fired.forEach((item) => {
+        waiting.splice(waiting.indexOf(item), 1);
+        const { process, body, then } = item;
+        queue.push(Object.assign({}, process, { statement: body }));
+        if (then) next.push(then);
+      });
+    }
+    unless.forEach((process) => {
+      if (!this.holds(process.statement.condition, process.space)) {
+        next.push(Object.assign({}, process, { statement: process.statement.statement }));
+      }
+    });
+    this.processes = next
+      .filter(({ watchers }) =>
+        !watchers.some(({ condition, space }) => this.holds(condition, space)))
+      .map(process => Object.assign({}, process, { expanded: [] }));
+    const store = {};
+    Object.keys(this.store).forEach((key) => {
+      store[key] = this.store[key].map(message => Object.assign({}, message));
+    });
+    const entry = { time: this.time, calls: this.calls, store };
+    this.trace.push(entry);
+    this.time += 1;
+    return entry;
+  }
+
+  /**
+   * Runs the given number of time units
+   * @param {Number} units
+   * @returns {[TraceEntry]} the entries of the time units run
+   */
+  run(units) {
+    const entries = [];
+    for (let i = 0; i < units; i += 1) entries.push(this.step());
+    return entries;
+  }
+
+  /**
+   * Calls the handler of the given [procedure]
+   * @param {Expressions.Procedure} procedure
+   * @param {Expressions.SpacePath} space
+   * @returns {*} value returned by the handler
+   * @throws {TypeError} if the procedure has no handler
+   */
+  call(procedure, space) {
+    const handler = this.handlers[procedure.name];
+    if (!handler) throw new TypeError(`No handler for procedure ${procedure.name}.`);
+    const messages = this.messages(space);
+    return handler(procedure.params.list.map(paramValue), {
+      interpreter: this,
+      time: this.time,
+      space,
+      messages,
+      tell: (message) => { messages.push(message); },
+    });
+  }
+
+  /**
+   * Returns whether the given [constraint] holds in the given [space], calling the procedures
+   * compared in it
+   * @param {Expression} constraint
+   * @param {Expressions.SpacePath} space
+   * @returns {Boolean}
+   */
+  holds(constraint, space) {
+    return constraint.isEntailedBy(this.messages(space), this.entailmentOptions(space)).holds;
+  }
+
+  /**
+   * Returns whether the given [value] of a field matches the given [pattern] or comparison
+   * @param {Expression} pattern
+   * @param {String|Number=} value
+   * @param {Expressions.SpacePath} space where procedures in comparisons are called
+   * @returns {Boolean}
+   */
+  matches(pattern, value, space) {
+    const options = this.entailmentOptions(space);
+    if (pattern instanceof Expressions.Comparison && pattern.left) {
+      return pattern.isEntailedBy([], options).holds;
+    }
+    return new Expressions.Match('value', pattern).isSatisfiedBy({ value }, options);
+  }
+
+  /**
+   * Returns the options evaluating constraints in the given [space], where the procedures
+   * compared are called
+   * @param {Expressions.SpacePath} space
+   * @returns {EntailmentOptions}
+   */
+  entailmentOptions(space) {
+    return {
+      textField: this.textField,
+      evaluate: (operand) => {
+        if (operand instanceof Expressions.Procedure) return this.call(operand, space);
+        throw new TypeError(`Cannot compare ${operand.constructor.name} expressions.`);
+      },
+    };
+  }
+}
+
+module.exports = { Interpreter };
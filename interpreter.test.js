@@ -0,0 +1,115 @@
+/* global describe it expect */
+const { SculpParser, Expressions } = require('./index');
+const { Interpreter } = require('./interpreter');
+
+const validSignatures = {
+  post: [Expressions.String],
+  signal: [Expressions.String],
+  rm: [Expressions.Pattern],
+  count: [Expressions.String],
+  clear: [],
+};
+
+const handlers = {
+  post: ([txt], { tell }) => tell({ txt, usr: 'agent' }),
+  signal: () => {},
+  rm: ([pattern], { messages, interpreter, space }) => {
+    const kept = messages.filter(({ txt }) => (typeof pattern === 'string' ?
+      txt !== pattern : !interpreter.matches(pattern, txt, space)));
+    messages.splice(0, messages.length, ...kept);
+  },
+  count: ([txt], { messages }) => messages.filter(message => message.txt === txt).length,
+};
+
+describe('The SCULP interpreter', () => {
+  const parser = new SculpParser(validSignatures);
+  const run = (program, units) =>
+    new Interpreter({ handlers }).load(parser.parse(program)).run(units);
+  const calls = trace => trace.map(entry => entry.calls.map(({ name, params }) =>
+    `${name}(${params.join(', ')})`).join(' '));
+
+  it('should run parallel processes and post messages in the store', () => {
+    const [entry] = run('post("a") || signal("b")', 1);
+    expect(entry.time).toBe(0);
+    expect(entry.calls).toEqual([
+      { name: 'post', params: ['a'], space: '~' },
+      { name: 'signal', params: ['b'], space: '~' },
+    ]);
+    expect(entry.store).toEqual({ '~': [{ txt: 'a', usr: 'agent' }] });
+  });
+
+  it('should delay next, repeat and whenever to the following time units', () => {
+    expect(calls(run('(next next signal("a")) || repeat signal("b")', 3)))
+      .toEqual(['signal(b)', 'signal(b)', 'signal(a) signal(b)']);
+    expect(calls(run('whenever "go" do signal("x") || next post("go")', 3)))
+      .toEqual(['', 'post(go) signal(x)', 'signal(x)']);
+  });
+
+  it('should fire when conditions that hold in the same time unit only', () => {
+    expect(calls(run('when {txt: "a", usr: "agent"} do signal("yes") || post("a")', 2)))
+      .toEqual(['post(a) signal(yes)', '']);
+    expect(calls(run('when "a" do signal("yes") || next post("a")', 2)))
+      .toEqual(['', 'post(a)']);
+  });
+
+  it('should run unless bodies in the next time unit when the condition does not hold', () => {
+    expect(calls(run('unless "a" next signal("x") || unless "b" next signal("y") || post("a")', 2)))
+      .toEqual(['post(a)', 'signal(y)']);
+  });
+
+  it('should run while bodies as long as the condition holds', () => {
+    expect(calls(run('post("on") || while "on" do signal("x") || next next rm("on")', 4)))
+      .toEqual(['post(on) signal(x)', 'signal(x)', 'rm(on)', '']);
+  });
+
+  it('should abort the continuations of do ... until when the condition holds', () => {
+    expect(calls(run('(do (repeat signal("tick")) until "stop") || next next post("stop")', 4)))
+      .toEqual(['signal(tick)', 'signal(tick)', 'post(stop) signal(tick)', '']);
+  });
+
+  it('should evaluate comparisons with procedures', () => {
+    expect(calls(run('post("a") || post("a") || when count("a") >= 2 do signal("many")', 1)))
+      .toEqual(['post(a) post(a) signal(many)']);
+  });
+
+  it('should keep the messages of every space', () => {
+    const trace = run('enter @ "house"/"kitchen" do (post("hot") || exit @ . do post("up"))', 1);
+    expect(trace[0].store).toEqual({
+      '~/"house"/"kitchen"': [{ txt: 'hot', usr: 'agent' }],
+      '~/"house"': [{ txt: 'up', usr: 'agent' }],
+    });
+  });
+
+  it('should run the statements defined by def', () => {
+    expect(calls(run('def "clear" as rm(*) || post("a") || next clear', 2)))
+      .toEqual(['post(a)', 'rm(*)']);
+  });
+
+  it('should stop processes calling themselves within a time unit', () => {
+    const load = raw => new Interpreter({ handlers }).load(parser.parseProgram(raw));
+    expect(() => load('def "clear" as (post("a") || clear)\nclear').step())
+      .toThrow(new TypeError('Process clear calls itself within a time unit.'));
+    const trace = load('def "clear" as (post("a") || next clear)\nclear || clear').run(2);
+    expect(calls(trace)).toEqual(['post(a) post(a)', 'post(a) post(a)']);
+  });
+
+  it('should load the definitions of programs before their processes', () => {
+    const program = parser.parseProgram('next clear\npost("a") || clear\ndef "clear" as rm("a")');
+    const trace = new Interpreter({ handlers }).load(program).run(2);
+    expect(calls(trace)).toEqual(['post(a) rm(a)', 'rm(a)']);
+  });
+
+  it('should step through time units one by one', () => {
+    const interpreter = new Interpreter({ handlers }).load(parser.parse('repeat post("x")'));
+    interpreter.step();
+    const entry = interpreter.step();
+    expect(entry.time).toBe(1);
+    expect(entry.store['~'].length).toBe(2);
+    expect(interpreter.trace.length).toBe(2);
+  });
+
+  it('should reject procedures without handler', () => {
+    const interpreter = new Interpreter().load(parser.parse('signal("a")'));
+    expect(() => interpreter.step()).toThrow(new TypeError('No handler for procedure signal.'));
+  });
+});
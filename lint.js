@@ -0,0 +1,377 @@
+const { Expressions } = require('./index');
+const { visit } = require('./visitor');
+
+/**
+ * Problem found by a rule, a Diagnostic whose code is the name of the rule
+ * @typedef {Object} LintProblem
+ * @property {String} severity 'error' or 'warning'
+ * @property {String} code name of the rule
+ * @property {String} message
+ * @property {SourceLocation=} range location of the expression, if it is located
+ * @property {Fix=} fix
+ */
+
+/**
+ * Suggested fix of a problem, replacing the code of an expression with [text]
+ * @typedef {Object} Fix
+ * @property {String} message
+ * @property {SourceLocation} range
+ * @property {String} text
+ */
+
+/**
+ * Context given to a rule
+ * @typedef {Object} RuleContext
+ * @property {Object} options options of the rule, merged over its defaults
+ * @property {function(Expression, String, {message: String, replacement: Expression?}=)} report
+ * reports a problem with the given expression, with a fix replacing it, or removing it if the
+ * replacement is null, when it is located
+ */
+
+/**
+ * Check of the linter. `create` returns the Visitor finding the problems in a tree.
+ * @typedef {Object} Rule
+ * @property {String} severity default severity, 'error' or 'warning'
+ * @property {Object=} options default options
+ * @property {function(RuleContext): Visitor} create
+ */
+
+/**
+ * Returns whether no text can match the given [pattern]. Patterns that cannot be compiled are
+ * considered satisfiable.
+ * @param {Expression} pattern
+ * @returns {Boolean}
+ */
+function isEmptyPattern(pattern) {
+  if (pattern instanceof Expressions.PatternOr) return pattern.patterns.every(isEmptyPattern);
+  if (pattern instanceof Expressions.PatternConcatenation) {
+    return pattern.patterns.some(isEmptyPattern);
+  }
+  if (!(pattern instanceof Expressions.PatternAnd)) return false;
+  if (pattern.patterns.some(isEmptyPattern)) return true;
+  const string = pattern.patterns.find(operand => operand instanceof Expressions.String);
+  return Boolean(string) && pattern.patterns.some((operand) => {
+    try {
+      return !operand.compile()(string.value);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Returns whether the given [constraint] can never be entailed, whatever the messages are
+ * @param {Expression} constraint
+ * @returns {Boolean}
+ */
+function isUnsatisfiable(constraint) {
+  if (constraint instanceof Expressions.LogicalAnd) {
+    return constraint.constraints.some(isUnsatisfiable);
+  }
+  if (constraint instanceof Expressions.LogicalOr) {
+    return constraint.constraints.every(isUnsatisfiable);
+  }
+  if (constraint instanceof Expressions.MatchList) {
+    return Object.values(constraint.list).some(match => isUnsatisfiable(match.pattern));
+  }
+  if (constraint instanceof Expressions.Comparison) {
+    const { left, right } = constraint;
+    return left instanceof Expressions.Number && right instanceof Expressions.Number &&
+      !constraint.constructor.compare(left.value, right.value);
+  }
+  return isEmptyPattern(constraint);
+}
+
+/**
+ * Returns the procedures called by the given [statement] as soon as it runs and in every time
+ * unit it keeps running, without waiting for a condition
+ * @param {Expression} statement
+ * @returns {[Expressions.Procedure]}
+ */
+function unconditionalCalls(statement) {
+  if (statement instanceof Expressions.Procedure) return [statement];
+  if (statement instanceof Expressions.ParallelExecution) {
+    return [].concat(...statement.statements.map(unconditionalCalls));
+  }
+  if (statement instanceof Expressions.SequentialExecution ||
+    statement instanceof Expressions.Repeat ||
+    statement instanceof Expressions.Enter ||
+    statement instanceof Expressions.Exit
+  ) {
+    return unconditionalCalls(statement.statement);
+  }
+  return [];
+}
+
+/**
+ * Returns the closest expression of the given [type] enclosing the expression at [path]
+ * @param {NodePath} path
+ * @param {Function} type
+ * @returns {Expression=}
+ */
+function enclosing(path, type) {
+  for (let parent = path.parentPath; parent; parent = parent.parentPath) {
+    if (parent.node instanceof type) return parent.node;
+  }
+  return undefined;
+}
+
+/**
+ * Rules of the linter by name
+ * @type {Object.<String, Rule>}
+ */
+const rules = {
+  /**
+   * `repeat` calling a procedure posting messages in every time unit, e.g. `repeat post("hi")`
+   */
+  'unbounded-repeat': {
+    severity: 'warning',
+    options: { procedures: ['post'] },
+    create: context => ({
+      Repeat(path) {
+        const call = unconditionalCalls(path.node.statement)
+          .find(procedure => context.options.procedures.includes(procedure.name));
+        if (call) {
+          context.report(path.node, `Repeat calls ${call.name} in every time unit forever, wait for a condition with whenever instead.`);
+        }
+      },
+    }),
+  },
+
+  /**
+   * Condition of `when`, `whenever`, `if` or `while` that no messages can satisfy, e.g.
+   * `{ usr: ("a" & "b") }`, so the statement never runs. Values of matches bind tighter than `&`
+   * and `v`, so `{ usr: "a" & "b" }` is rejected by the parser.
+   */
+  'unsatisfiable-condition': {
+    severity: 'error',
+    create: context => ({
+      Instruction(path) {
+        const { node } = path;
+        const isConditional = [
+          Expressions.When, Expressions.Whenever, Expressions.If, Expressions.While,
+        ].includes(node.constructor);
+        if (isConditional && isUnsatisfiable(node.condition)) {
+          context.report(node, `Condition ${node.condition} can never be satisfied.`, {
+            message: 'Replace the statement with skip',
+            replacement: new Expressions.Skip(),
+          });
+        }
+      },
+    }),
+  },
+
+  /**
+   * Field matched by several match lists of a conjunction, e.g. `{ usr: "a" } & { usr: * }`,
+   * where every list can be satisfied by a different message. A field repeated in a single list
+   * is rejected by the parser.
+   */
+  'duplicate-field': {
+    severity: 'warning',
+    create: context => ({
+      LogicalAnd(path) {
+        const lists = path.node.constraints
+          .filter(constraint => constraint instanceof Expressions.MatchList);
+        const matches = [].concat(...lists.map(list => Object.values(list.list)));
+        const duplicate = matches.find((match, i) =>
+          matches.findIndex(other => other.name === match.name) !== i);
+        if (!duplicate) return;
+        const message = `Field ${duplicate.name} is matched by several lists, which can be satisfied by different messages.`;
+        if (matches.some(match => match.pattern instanceof Expressions.Comparison)) {
+          context.report(path.node, message);
+          return;
+        }
+        const merged = new Expressions.MatchList();
+        matches.forEach((match) => {
+          const previous = merged.list[match.name];
+          merged.list[match.name] = new Expressions.Match(
+            match.name,
+            previous ? new Expressions.PatternAnd(previous.pattern, match.pattern) : match.pattern,
+          );
+        });
+        // the merged list takes the place of the first list
+        const constraints = path.node.constraints.filter(constraint =>
+          !lists.includes(constraint) || constraint === lists[0]).map(constraint =>
+          (constraint === lists[0] ? merged : constraint.clone()));
+        let replacement = merged;
+        if (constraints.length > 1) {
+          replacement = path.node.clone();
+          replacement.constraints = constraints;
+        }
+        context.report(path.node, message, {
+          message: 'Match the fields of one message in a single list',
+          replacement,
+        });
+      },
+    }),
+  },
+
+  /**
+   * `def` whose process is never called, its own body aside
+   */
+  'unused-definition': {
+    severity: 'warning',
+    create: (context) => {
+      const definitions = [];
+      // calls by name, along with the definition they are part of
+      const calls = [];
+      return {
+        Define(path) {
+          definitions.push(path);
+        },
+        Procedure(path) {
+          calls.push({ name: path.node.name, definition: enclosing(path, Expressions.Define) });
+        },
+        leave(path) {
+          if (path.parentPath) return;
+          definitions.forEach((definition) => {
+            const name = definition.node.name.value;
+            if (calls.some(call => call.name === name && call.definition !== definition.node)) {
+              return;
+            }
+            const fix = definition.parent instanceof Expressions.Program ? {
+              message: 'Remove the definition',
+              replacement: null,
+            } : undefined;
+            context.report(definition.node, `Process ${name} is defined but never called.`, fix);
+          });
+        },
+      };
+    },
+  },
+
+  /**
+   * `def` of a process already defined, the last definition run replacing the former
+   */
+  'redefined-definition': {
+    severity: 'warning',
+    create: (context) => {
+      const defined = {};
+      return {
+        Define(path) {
+          const name = path.node.name.value;
+          const previous = defined[name];
+          if (!previous) {
+            defined[name] = path.node;
+            return;
+          }
+          const where = previous.location ? ` at line ${previous.location.start.line}` : '';
+          context.report(path.node, `Process ${name} is already defined${where}.`);
+        },
+      };
+    },
+  },
+
+  /**
+   * `exit` outside any `enter`, leaving the own space of the agent. Exits in definitions are not
+   * reported, since they can be called from inside an `enter`.
+   */
+  'exit-outside-enter': {
+    severity: 'error',
+    create: context => ({
+      Exit(path) {
+        if (enclosing(path, Expressions.Enter) || enclosing(path, Expressions.Define)) return;
+        context.report(path.node, 'Exit outside any enter leaves the space of the agent.', {
+          message: 'Run the statement in the current space',
+          replacement: path.node.statement,
+        });
+      },
+    }),
+  },
+
+  /**
+   * `skip` as a branch of a parallel execution, which does nothing, e.g. `post("a") || skip`
+   */
+  'skip-branch': {
+    severity: 'warning',
+    create: context => ({
+      ParallelExecution(path) {
+        const branches = path.node.statements
+          .filter(branch => !(branch instanceof Expressions.Skip));
+        if (branches.length === path.node.statements.length) return;
+        let replacement = branches[0] || new Expressions.Skip();
+        if (branches.length > 1) {
+          replacement = path.node.clone();
+          replacement.statements = branches.map(branch => branch.clone());
+        }
+        context.report(path.node, 'Parallel branches of skip do nothing.', {
+          message: 'Remove the skip branches',
+          replacement,
+        });
+      },
+    }),
+  },
+};
+
+/**
+ * Returns the severity and options of the rule [name] from its [setting], either a severity,
+ * 'off' or `[severity, options]`
+ * @param {String} name
+ * @param {String|[String, Object]=} setting the default severity and options if undefined
+ * @returns {{severity: String, options: Object}}
+ * @throws {TypeError} if the rule or its setting is not valid
+ */
+function ruleSetting(name, setting) {
+  const rule = rules[name];
+  if (!rule) throw new TypeError(`Unknown rule '${name}'.`);
+  const [severity = rule.severity, options] = [].concat(setting === undefined ? [] : setting);
+  if (!['error', 'warning', 'off'].includes(severity)) {
+    throw new TypeError(`Invalid severity '${severity}' of rule ${name}, expecting error, warning or off.`);
+  }
+  return { severity, options: Object.assign({}, rule.options, options) };
+}
+
+/**
+ * Finds the problems of the given [ast] reported by the enabled [settings] of the rules. Every
+ * rule is enabled with its default severity unless it is set to 'off', e.g.
+ * `lint(parser.parseProgram(raw), { 'skip-branch': 'off', 'unbounded-repeat': ['error'] })`
+ * @param {Expression} ast
+ * @param {Object.<String, String|[String, Object]>=} settings severity, or severity and options,
+ * of the rules by name
+ * @returns {[LintProblem]} sorted by location
+ * @throws {TypeError} if a rule or its setting is not valid
+ */
+function lint(ast, settings = {}) {
+  Object.keys(settings).forEach(name => ruleSetting(name, settings[name]));
+  const problems = [];
+  Object.keys(rules).forEach((name) => {
+    const { severity, options } = ruleSetting(name, settings[name]);
+    if (severity === 'off') return;
+    const report = (expression, message, fix) => {
+      const problem = {
+        severity, code: name, message, range: expression.location,
+      };
+      if (fix && expression.location) {
+        problem.fix = {
+          message: fix.message,
+          range: expression.location,
+          text: fix.replacement ? `${fix.replacement}` : '',
+        };
+      }
+      problems.push(problem);
+    };
+    visit(ast, rules[name].create({ options, report }));
+  });
+  const offset = problem => (problem.range ? problem.range.start.offset : -1);
+  return problems.sort((a, b) => offset(a) - offset(b));
+}
+
+/**
+ * Returns the given [raw] code with the fixes of the given [problems] applied. Fixes overlapping
+ * one already applied are left out.
+ * @param {String} raw code the problems were found in
+ * @param {[LintProblem]} problems
+ * @returns {String}
+ */
+function applyFixes(raw, problems) {
+  const fixes = problems.filter(problem => problem.fix).map(problem => problem.fix)
+    .sort((a, b) => b.range.start.offset - a.range.start.offset);
+  let end = Infinity;
+  return fixes.reduce((code, { range, text }) => {
+    if (range.end.offset > end) return code;
+    end = range.start.offset;
+    return code.substring(0, range.start.offset) + text + code.substring(range.end.offset);
+  }, raw);
+}
+
+module.exports = { lint, applyFixes, rules };
@@ -0,0 +1,99 @@
+/* global describe it expect */
+const { SculpParser, Expressions } = require('./index');
+const { lint, applyFixes } = require('./lint');
+
+const validSignatures = {
+  post: [Expressions.String],
+  rm: [Expressions.Pattern],
+  count: [Expressions.String],
+  clear: [],
+};
+
+describe('The SCULP linter', () => {
+  const parser = new SculpParser(validSignatures);
+  const problems = (raw, settings) => lint(parser.parseProgram(raw), settings)
+    .map(({ severity, code, range }) => `${range.start.line}:${range.start.column} ${severity} ${code}`);
+
+  it('should warn about repeats posting in every time unit', () => {
+    expect(problems('repeat (next post("hi") || skip)\nrepeat when "a" do post("b")')).toEqual([
+      '1:1 warning unbounded-repeat',
+      '1:14 warning skip-branch',
+    ]);
+    expect(problems('repeat rm(*)', { 'unbounded-repeat': ['error', { procedures: ['rm'] }] }))
+      .toEqual(['1:1 error unbounded-repeat']);
+  });
+
+  it('should find conditions that can never be satisfied', () => {
+    const raw = [
+      'when {usr: ("a" & "b")} do post("x")',
+      'whenever {txt: ("a" v ("c" & * . "c"))} do skip',
+      'if 3 > 4 then clear',
+      'when {txt: ("ab" & * . "b")} & count("a") > 2 do skip',
+    ].join('\n');
+    const found = lint(parser.parseProgram(raw));
+    expect(found.map(({ code, range }) => `${code} ${range.start.line}`))
+      .toEqual(['unsatisfiable-condition 1', 'unsatisfiable-condition 3']);
+    expect(found[0].message).toBe('Condition { usr: ("a" & "b") } can never be satisfied.');
+    expect(applyFixes(raw, found).split('\n')).toEqual(['skip', raw.split('\n')[1], 'skip', raw.split('\n')[3]]);
+    expect(() => parser.parseProgram('when {usr: "a" & "b"} do skip'))
+      .toThrow('Invalid operation And between Match and String');
+  });
+
+  it('should merge the match lists of a conjunction matching the same field', () => {
+    const raw = 'when {usr: "a"} & count("a") > 2 & {usr: * . "b", txt: "c"} do skip';
+    const [problem] = lint(parser.parseProgram(raw));
+    expect(problem).toMatchObject({
+      severity: 'warning',
+      code: 'duplicate-field',
+      message: 'Field usr is matched by several lists, which can be satisfied by different messages.',
+      fix: { message: 'Match the fields of one message in a single list' },
+    });
+    expect(applyFixes(raw, [problem]))
+      .toBe('when ({ usr: ("a" & * . "b"), txt: "c" } & count("a") > 2) do skip');
+    expect(lint(parser.parseProgram('when {pid: > 1} & {pid: < 5} do skip'))[0].fix).toBeUndefined();
+  });
+
+  it('should check the definitions of processes', () => {
+    const raw = [
+      'def "clear" as rm(*)',
+      'def "clear" as rm("a")',
+      'def "post" as post("again")',
+      'next clear',
+    ].join('\n');
+    const found = lint(parser.parseProgram(raw));
+    expect(found.map(({ code, message }) => `${code}: ${message}`)).toEqual([
+      'redefined-definition: Process clear is already defined at line 1.',
+      'unused-definition: Process post is defined but never called.',
+    ]);
+    expect(applyFixes(raw, found)).toBe('def "clear" as rm(*)\ndef "clear" as rm("a")\n\nnext clear');
+  });
+
+  it('should report exits outside any enter and skip branches', () => {
+    const raw = 'exit @ "a" do post("z")\nenter @ "a" do exit @ "a" do (skip || post("b") || skip)';
+    const found = lint(parser.parseProgram(raw));
+    expect(found.map(({ code }) => code)).toEqual(['exit-outside-enter', 'skip-branch']);
+    expect(applyFixes(raw, found)).toBe('post("z")\nenter @ "a" do exit @ "a" do post("b")');
+    expect(problems('def "clear" as exit @ "a" do skip\nclear')).toEqual([]);
+  });
+
+  it('should turn rules off and validate the settings', () => {
+    const raw = 'exit @ "a" do (post("a") || skip)';
+    expect(problems(raw, { 'skip-branch': 'off', 'exit-outside-enter': 'warning' }))
+      .toEqual(['1:1 warning exit-outside-enter']);
+    expect(() => lint(parser.parseProgram(raw), { semicolons: 'error' }))
+      .toThrow(new TypeError('Unknown rule \'semicolons\'.'));
+    expect(() => lint(parser.parseProgram(raw), { 'skip-branch': 'info' }))
+      .toThrow(new TypeError('Invalid severity \'info\' of rule skip-branch, expecting error, warning or off.'));
+  });
+
+  it('should lint expressions built without source', () => {
+    const { ParallelExecution, Skip } = Expressions;
+    const statement = new ParallelExecution(new Skip(), new Skip());
+    expect(lint(statement)).toEqual([{
+      severity: 'warning',
+      code: 'skip-branch',
+      message: 'Parallel branches of skip do nothing.',
+      range: undefined,
+    }]);
+  });
+});
@@ -0,0 +1,475 @@
+const { Expressions } = require('./index');
+const { format } = require('./format');
+
+/**
+ * Kinds of completion items of the protocol used by the server
+ */
+const CompletionItemKind = {
+  Function: 3,
+  Field: 5,
+  Property: 10,
+  Keyword: 14,
+};
+
+/**
+ * Error codes of JSON-RPC responses
+ */
+const ErrorCodes = {
+  ParseError: -32700,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+};
+
+/**
+ * Types of the messages logged with `window/logMessage`
+ */
+const MessageType = {
+  Error: 1,
+};
+
+/**
+ * Position in a document as given by the protocol
+ * @typedef {Object} Position
+ * @property {Number} line zero-based line
+ * @property {Number} character zero-based UTF-16 offset in the line
+ */
+
+/**
+ * @typedef {Object} Range
+ * @property {Position} start
+ * @property {Position} end
+ */
+
+/**
+ * Open document along with the result of parsing it
+ * @typedef {Object} Document
+ * @property {String} uri
+ * @property {String} text
+ * @property {Expressions.Program} result partial tree returned by SculpParser#checkProgram
+ * @property {[Diagnostic]} diagnostics
+ */
+
+/**
+ * @param {SourceLocation} location
+ * @returns {Range}
+ */
+function toRange({ start, end }) {
+  return {
+    start: { line: start.line - 1, character: start.column - 1 },
+    end: { line: end.line - 1, character: end.column - 1 },
+  };
+}
+
+/**
+ * Returns the offset in [text] of the given [position]
+ * @param {String} text
+ * @param {Position} position
+ * @returns {Number}
+ */
+function offsetAt(text, { line, character }) {
+  let offset = 0;
+  for (let i = 0; i < line; i += 1) {
+    const newLine = text.indexOf('\n', offset);
+    if (newLine === -1) return text.length;
+    offset = newLine + 1;
+  }
+  const newLine = text.indexOf('\n', offset);
+  return Math.min(offset + character, newLine === -1 ? text.length : newLine);
+}
+
+/**
+ * Returns the position of the end of [text]
+ * @param {String} text
+ * @returns {Position}
+ */
+function endOf(text) {
+  const lines = text.split('\n');
+  return { line: lines.length - 1, character: lines[lines.length - 1].length };
+}
+
+/**
+ * Returns the name of the procedure whose parentheses enclose the given [offset] of [text]
+ * @param {String} text
+ * @param {Number} offset
+ * @returns {String=}
+ */
+function enclosingCall(text, offset) {
+  const open = [];
+  let i = 0;
+  while (i < offset) {
+    const character = text[i];
+    if (character === '"' || character === "'") {
+      i += 1;
+      while (i < offset && text[i] !== character) i += text[i] === '\\' ? 2 : 1;
+    } else if (text.startsWith('//', i)) {
+      const newLine = text.indexOf('\n', i);
+      i = newLine === -1 ? offset : newLine;
+    } else if (text.startsWith('/*', i)) {
+      const close = text.indexOf('*/', i + 2);
+      i = close === -1 ? offset : close + 1;
+    } else if (character === '(') {
+      const [name] = /[\w-]+(?=\s*$)/.exec(text.substring(0, i)) || [];
+      open.push(name);
+    } else if ('[{'.includes(character)) {
+      open.push(undefined);
+    } else if (')]}'.includes(character)) {
+      open.pop();
+    }
+    i += 1;
+  }
+  return open[open.length - 1];
+}
+
+/**
+ * Returns the innermost expression of [root] whose location contains [offset] and that passes
+ * the given [test]
+ * @param {Expression} root
+ * @param {Number} offset
+ * @param {function(Expression): Boolean} test
+ * @returns {Expression=}
+ */
+function expressionAt(root, offset, test) {
+  let found;
+  root.traverse((expression) => {
+    const { location } = expression;
+    if (location && (location.start.offset > offset || location.end.offset < offset)) {
+      return false;
+    }
+    if (location && test(expression)) found = expression;
+    return undefined;
+  });
+  return found;
+}
+
+/**
+ * Returns the given [signature] of the procedure [name] as it is shown to users, e.g.
+ * `post(String, to?: Pattern | Comparison = "all")`
+ * @param {String} name
+ * @param {[ParameterDefinition]} signature normalized signature
+ * @returns {String}
+ */
+function signatureLabel(name, signature) {
+  const params = signature.map(definition =>
+    `${definition.rest ? '...' : ''}${definition.name ? `${definition.name}${definition.optional ? '?' : ''}: ` : ''}` +
+    `${definition.type.map(type => type.name).join(' | ')}` +
+    `${!definition.name && definition.optional ? '?' : ''}` +
+    `${definition.default !== undefined ? ` = ${definition.default}` : ''}`);
+  return `${name}(${params.join(', ')})`;
+}
+
+/**
+ * Language server of SCULP. Documents are parsed in recovery mode on every change and their
+ * diagnostics are published, the rest of the features work on the partial tree of the last
+ * version of each document.
+ *
+ * Messages are JSON-RPC objects, already decoded, given to LanguageServer#handle. Responses and
+ * notifications are given to the [send] function of the server.
+ */
+class LanguageServer {
+  /**
+   * @param {SculpParser} parser
+   * @param {function(Object)} send
+   */
+  constructor(parser, send) {
+    this.parser = parser;
+    this.send = send;
+    /** @type {Map<String, Document>} open documents by URI */
+    this.documents = new Map();
+    this.isShutdown = false;
+    this.hasExited = false;
+  }
+
+  /**
+   * Handles the given request or notification. Notifications failing are logged to the client,
+   * since they cannot be answered with an error.
+   * @param {{id: (Number|String)=, method: String, params: Object=}} message
+   */
+  handle(message) {
+    const { id, method, params } = message;
+    const handler = LanguageServer.methods[method];
+    if (id === undefined) {
+      if (!handler) return;
+      try {
+        this[handler](params);
+      } catch (error) {
+        this.send({
+          jsonrpc: '2.0',
+          method: 'window/logMessage',
+          params: { type: MessageType.Error, message: `${method} failed: ${error.message}` },
+        });
+      }
+      return;
+    }
+    if (!handler) {
+      this.send({
+        jsonrpc: '2.0',
+        id,
+        error: { code: ErrorCodes.MethodNotFound, message: `Unknown method ${method}.` },
+      });
+      return;
+    }
+    try {
+      const result = this[handler](params);
+      this.send({ jsonrpc: '2.0', id, result: result === undefined ? null : result });
+    } catch (error) {
+      this.send({
+        jsonrpc: '2.0',
+        id,
+        error: { code: ErrorCodes.InternalError, message: error.message },
+      });
+    }
+  }
+
+  /**
+   * Names of the methods handling each message of the protocol
+   * @returns {Object.<String, String>}
+   */
+  static get methods() {
+    return {
+      initialize: 'initialize',
+      shutdown: 'shutdown',
+      exit: 'exit',
+      'textDocument/didOpen': 'didOpen',
+      'textDocument/didChange': 'didChange',
+      'textDocument/didClose': 'didClose',
+      'textDocument/completion': 'completion',
+      'textDocument/hover': 'hover',
+      'textDocument/formatting': 'formatting',
+      'textDocument/definition': 'definition',
+    };
+  }
+
+  initialize() { // eslint-disable-line class-methods-use-this
+    return {
+      capabilities: {
+        // full text of the documents on every change
+        textDocumentSync: 1,
+        completionProvider: { triggerCharacters: ['(', ',', '{'] },
+        hoverProvider: true,
+        documentFormattingProvider: true,
+        definitionProvider: true,
+      },
+      serverInfo: { name: 'sculp' },
+    };
+  }
+
+  shutdown() {
+    this.isShutdown = true;
+    return null;
+  }
+
+  exit() {
+    this.hasExited = true;
+  }
+
+  didOpen({ textDocument }) {
+    this.update(textDocument.uri, textDocument.text);
+  }
+
+  didChange({ textDocument, contentChanges }) {
+    this.update(textDocument.uri, contentChanges[contentChanges.length - 1].text);
+  }
+
+  didClose({ textDocument }) {
+    this.documents.delete(textDocument.uri);
+    this.send({
+      jsonrpc: '2.0',
+      method: 'textDocument/publishDiagnostics',
+      params: { uri: textDocument.uri, diagnostics: [] },
+    });
+  }
+
+  /**
+   * Parses the new [text] of the document [uri] and publishes its diagnostics
+   * @param {String} uri
+   * @param {String} text
+   */
+  update(uri, text) {
+    const { result, diagnostics } = this.parser.checkProgram(text);
+    this.documents.set(uri, {
+      uri,
+      text,
+      result,
+      diagnostics,
+    });
+    this.send({
+      jsonrpc: '2.0',
+      method: 'textDocument/publishDiagnostics',
+      params: {
+        uri,
+        diagnostics: diagnostics.map(({ code, message, range }) => ({
+          range: toRange(range),
+          severity: 1,
+          code,
+          source: 'sculp',
+          message,
+        })),
+      },
+    });
+  }
+
+  /**
+   * @param {{uri: String}} textDocument
+   * @returns {Document}
+   * @throws {Error} if the document is not open
+   */
+  document({ uri }) {
+    const document = this.documents.get(uri);
+    if (!document) throw new Error(`Document ${uri} is not open.`);
+    return document;
+  }
+
+  /**
+   * Completes keywords, procedures and match fields, along with the named parameters of the
+   * procedure whose parentheses enclose the position
+   */
+  completion({ textDocument, position }) {
+    const { text } = this.document(textDocument);
+    const items = [];
+    const call = enclosingCall(text, offsetAt(text, position));
+    const signature = call && this.parser.signatureOf(call);
+    if (signature) {
+      signature.filter(definition => definition.name).forEach((definition) => {
+        items.push({
+          label: definition.name,
+          kind: CompletionItemKind.Property,
+          detail: definition.type.map(type => type.name).join(' | '),
+          insertText: `${definition.name}: `,
+        });
+      });
+    }
+    Object.keys(this.parser.validSignatures).forEach((name) => {
+      items.push({
+        label: name,
+        kind: CompletionItemKind.Function,
+        detail: signatureLabel(name, this.parser.signatureOf(name)),
+      });
+    });
+    Object.keys(this.parser.matchFields).forEach((field) => {
+      const { name, type } = this.parser.matchFields[field];
+      items.push({
+        label: field,
+        kind: CompletionItemKind.Field,
+        detail: `${name}: ${type.map(FieldType => FieldType.name).join(' | ')}`,
+      });
+    });
+    Object.keys(this.parser.keywords).filter(symbol => /^[a-z]/i.test(symbol)).forEach((symbol) => {
+      items.push({ label: symbol, kind: CompletionItemKind.Keyword });
+    });
+    return items;
+  }
+
+  /**
+   * Shows the signature of the procedure at the position
+   */
+  hover({ textDocument, position }) {
+    const { text, result } = this.document(textDocument);
+    const procedure = expressionAt(
+      result,
+      offsetAt(text, position),
+      expression => expression instanceof Expressions.Procedure,
+    );
+    const signature = procedure && this.parser.signatureOf(procedure.name);
+    if (!signature) return null;
+    return {
+      contents: { kind: 'markdown', value: `\`\`\`sculp\n${signatureLabel(procedure.name, signature)}\n\`\`\`` },
+      range: toRange(procedure.location),
+    };
+  }
+
+  /**
+   * Formats the whole document, unless it has errors
+   */
+  formatting({ textDocument, options = {} }) {
+    const { text, result, diagnostics } = this.document(textDocument);
+    if (diagnostics.length) return [];
+    const formatted = `${format(result, options.tabSize ? { indent: options.tabSize } : {})}\n`;
+    if (formatted === text) return [];
+    return [{ range: { start: { line: 0, character: 0 }, end: endOf(text) }, newText: formatted }];
+  }
+
+  /**
+   * Goes from a call of a process to the `def` statements defining it
+   */
+  definition({ textDocument, position }) {
+    const { uri, text, result } = this.document(textDocument);
+    const call = expressionAt(
+      result,
+      offsetAt(text, position),
+      expression => expression instanceof Expressions.Procedure ||
+        expression instanceof Expressions.Identifier,
+    );
+    if (!call) return null;
+    const definitions = [];
+    result.applyTo(Expressions.Define, (define) => {
+      if (define.name.value === call.name && define.location) {
+        definitions.push({ uri, range: toRange(define.location) });
+      }
+    });
+    return definitions.length ? definitions : null;
+  }
+}
+
+/**
+ * Runs the given [server] over the JSON-RPC messages of [input], framed by Content-Length
+ * headers, writing its messages to [output] the same way
+ * @param {function(function(Object)): LanguageServer} createServer called with the function
+ * sending the messages of the server
+ * @param {{input: stream.Readable, output: stream.Writable}} streams
+ * @returns {Promise<LanguageServer>} resolved when the input ends or the client sends `exit`,
+ * the input being destroyed
+ */
+function listen(createServer, { input, output }) {
+  const server = createServer((message) => {
+    const body = Buffer.from(JSON.stringify(message), 'utf8');
+    output.write(`Content-Length: ${body.length}\r\n\r\n`);
+    output.write(body);
+  });
+  return new Promise((resolve) => {
+    let buffer = Buffer.alloc(0);
+    const finish = () => {
+      input.removeListener('data', receive); // eslint-disable-line no-use-before-define
+      input.removeListener('end', finish);
+      // an input still open, like stdin, would keep the process running
+      input.destroy();
+      resolve(server);
+    };
+    const receive = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        const headerEnd = buffer.indexOf('\r\n\r\n');
+        if (headerEnd === -1) return;
+        const [, length] = /Content-Length: *(\d+)/i.exec(buffer.toString('ascii', 0, headerEnd)) || [];
+        const start = headerEnd + 4;
+        if (length === undefined) {
+          buffer = buffer.slice(start);
+        } else {
+          if (buffer.length < start + Number(length)) return;
+          const body = buffer.toString('utf8', start, start + Number(length));
+          buffer = buffer.slice(start + Number(length));
+          let message;
+          try {
+            message = JSON.parse(body);
+          } catch (error) {
+            server.send({
+              jsonrpc: '2.0',
+              id: null,
+              error: { code: ErrorCodes.ParseError, message: error.message },
+            });
+          }
+          if (message) server.handle(message);
+          if (server.hasExited) {
+            finish();
+            return;
+          }
+        }
+      }
+    };
+    input.on('data', receive);
+    input.on('end', finish);
+  });
+}
+
+module.exports = {
+  LanguageServer, listen, signatureLabel, CompletionItemKind,
+};
@@ -0,0 +1,183 @@
+/* global describe it expect beforeEach */
+const { PassThrough } = require('stream');
+const { SculpParser, Expressions } = require('./index');
+const { LanguageServer, listen, signatureLabel } = require('./lsp');
+
+const validSignatures = {
+  post: [Expressions.String, {
+    name: 'to',
+    type: [Expressions.Pattern, Expressions.Comparison],
+    default: 'all',
+  }],
+  clear: [],
+};
+
+describe('The SCULP language server', () => {
+  const parser = new SculpParser(validSignatures);
+  const uri = 'file:///program.sculp';
+  let server;
+  let sent;
+  let id;
+
+  const request = (method, params) => {
+    id += 1;
+    server.handle({
+      jsonrpc: '2.0',
+      id,
+      method,
+      params,
+    });
+    return sent.find(message => message.id === id);
+  };
+  const open = (text) => {
+    server.handle({
+      jsonrpc: '2.0',
+      method: 'textDocument/didOpen',
+      params: {
+        textDocument: {
+          uri,
+          languageId: 'sculp',
+          version: 1,
+          text,
+        },
+      },
+    });
+  };
+  const at = (line, character) => ({ textDocument: { uri }, position: { line, character } });
+
+  beforeEach(() => {
+    sent = [];
+    id = 0;
+    server = new LanguageServer(parser, (message) => { sent.push(message); });
+  });
+
+  it('should describe signatures', () => {
+    expect(signatureLabel('post', parser.signatureOf('post')))
+      .toBe('post(String, to?: Pattern | Comparison = "all")');
+    expect(signatureLabel('tell', [{ type: [Expressions.String], rest: true }]))
+      .toBe('tell(...String)');
+    expect(parser.signatureOf('toString')).toBeUndefined();
+  });
+
+  it('should publish diagnostics when documents change', () => {
+    expect(request('initialize', {}).result.capabilities).toMatchObject({
+      textDocumentSync: 1,
+      hoverProvider: true,
+      definitionProvider: true,
+    });
+    open('skip');
+    expect(sent.pop()).toEqual({
+      jsonrpc: '2.0',
+      method: 'textDocument/publishDiagnostics',
+      params: { uri, diagnostics: [] },
+    });
+    server.handle({
+      jsonrpc: '2.0',
+      method: 'textDocument/didChange',
+      params: { textDocument: { uri, version: 2 }, contentChanges: [{ text: 'skip ||\n  post(*)' }] },
+    });
+    expect(sent.pop().params.diagnostics).toEqual([{
+      range: { start: { line: 1, character: 7 }, end: { line: 1, character: 8 } },
+      severity: 1,
+      code: 'type-mismatch',
+      source: 'sculp',
+      message: 'Parameter at position 0 of post must be of type String instead of Pattern.',
+    }]);
+  });
+
+  it('should complete keywords, procedures, fields and named parameters', () => {
+    open('post("a", ');
+    const labels = items => items.map(item => item.label);
+    const items = request('textDocument/completion', at(0, 10)).result;
+    expect(items[0]).toEqual({
+      label: 'to',
+      kind: 10,
+      detail: 'Pattern | Comparison',
+      insertText: 'to: ',
+    });
+    expect(items).toContainEqual({ label: 'post', kind: 3, detail: 'post(String, to?: Pattern | Comparison = "all")' });
+    expect(labels(items)).toEqual(expect.arrayContaining(['clear', 'usr', 'when', 'until', 'v']));
+    expect(labels(items)).not.toContain('||');
+    expect(labels(request('textDocument/completion', at(0, 2)).result)).not.toContain('to');
+  });
+
+  it('should show the signature of procedures on hover', () => {
+    open('when "a" do\n  post("b")');
+    expect(request('textDocument/hover', at(1, 4)).result).toEqual({
+      contents: { kind: 'markdown', value: '```sculp\npost(String, to?: Pattern | Comparison = "all")\n```' },
+      range: { start: { line: 1, character: 2 }, end: { line: 1, character: 11 } },
+    });
+    expect(request('textDocument/hover', at(0, 1)).result).toBeNull();
+  });
+
+  it('should format documents without errors', () => {
+    open('when  {usr:"frank"}   do post("hi")');
+    expect(request('textDocument/formatting', { textDocument: { uri }, options: { tabSize: 4 } }).result)
+      .toEqual([{
+        range: { start: { line: 0, character: 0 }, end: { line: 0, character: 35 } },
+        newText: 'when { usr: "frank" } do post("hi", "all")\n',
+      }]);
+    open('post(*)');
+    expect(request('textDocument/formatting', { textDocument: { uri } }).result).toEqual([]);
+  });
+
+  it('should go from calls of processes to their definitions', () => {
+    open('def "clear" as post("a")\n|| next clear');
+    expect(request('textDocument/definition', at(1, 9)).result).toEqual([{
+      uri,
+      range: { start: { line: 0, character: 0 }, end: { line: 0, character: 24 } },
+    }]);
+    expect(request('textDocument/definition', at(0, 17)).result).toBeNull();
+  });
+
+  it('should answer unknown methods and documents with errors', () => {
+    expect(request('textDocument/rename', {}).error.code).toBe(-32601);
+    expect(request('textDocument/hover', at(0, 0)).error).toEqual({
+      code: -32603,
+      message: `Document ${uri} is not open.`,
+    });
+  });
+
+  it('should exchange messages framed by Content-Length headers', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', (chunk) => { text += chunk; });
+    const frame = (message) => {
+      const body = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message));
+      return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+    };
+    const done = listen(send => new LanguageServer(parser, send), { input, output });
+    const messages = frame({ id: 1, method: 'shutdown' }) + frame({ method: 'exit' });
+    input.write(messages.substring(0, 20));
+    input.write(messages.substring(20));
+    const result = await done;
+    expect(result.isShutdown).toBe(true);
+    expect(text).toBe('Content-Length: 38\r\n\r\n{"jsonrpc":"2.0","id":1,"result":null}');
+    expect(input.destroyed).toBe(true);
+    expect(input.listenerCount('data') + input.listenerCount('end')).toBe(0);
+  });
+
+  it('should log the notifications that fail instead of stopping', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const logged = [];
+    const done = listen(send => new LanguageServer(parser, (message) => {
+      if (message.method === 'window/logMessage') logged.push(message.params);
+      send(message);
+    }), { input, output });
+    [
+      { method: 'textDocument/didChange', params: { textDocument: { uri }, contentChanges: [] } },
+      { method: 'exit' },
+    ].forEach((message) => {
+      const body = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message));
+      input.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+    });
+    const result = await done;
+    expect(result.hasExited).toBe(true);
+    expect(logged).toEqual([{
+      type: 1,
+      message: expect.stringMatching(/^textDocument\/didChange failed: /),
+    }]);
+  });
+});
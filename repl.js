@@ -0,0 +1,268 @@
+const readline = require('readline');
+const { Expressions } = require('./index');
+const { tree } = require('./format');
+
+const help = `Enter SCULP code to see how it is parsed, input continues in the next lines until
+every bracket is closed. Results are kept as $1, $2, ... and the last one as $_.
+
+Commands:
+  :set <name> = <code>  insert the given code in the $name placeholders
+  :inserts              list the inserts and results
+  :help                 print this help
+  :quit                 exit
+`;
+
+/**
+ * Returns whether the given [expression] is wrapped in parentheses when nested in another one
+ * @param {Expression} expression
+ * @returns {Boolean}
+ */
+function isCompound(expression) {
+  if (expression instanceof Expressions.Comparison) return !!expression.left;
+  if (expression instanceof Expressions.Statement) {
+    return ![
+      Expressions.Procedure,
+      Expressions.Skip,
+      Expressions.SpacePath,
+      Expressions.Error,
+    ].includes(expression.constructor);
+  }
+  return [
+    Expressions.LogicalAnd,
+    Expressions.LogicalOr,
+    Expressions.PatternAnd,
+    Expressions.PatternOr,
+    Expressions.PatternConcatenation,
+  ].includes(expression.constructor);
+}
+
+/**
+ * Returns the code of the given [expression] with every nested statement and operation wrapped in
+ * parentheses, so the way it was parsed does not depend on the binding powers of the operators
+ * @param {Expression} expression
+ * @returns {String}
+ */
+function explicit(expression) {
+  const group = child => (isCompound(child) ? `(${explicit(child)})` : explicit(child));
+  if (expression instanceof Expressions.Comparison) {
+    const { left, right } = expression;
+    const { operator } = expression.constructor;
+    return left ? `${group(left)} ${operator} ${group(right)}` : `${operator} ${group(right)}`;
+  }
+  switch (expression.constructor) {
+    case Expressions.ParallelExecution:
+      return expression.statements.map(group).join(' || ');
+    case Expressions.Until:
+      return `do ${group(expression.statement)} until ${group(expression.condition)}`;
+    case Expressions.Define:
+      return `def ${expression.name} as ${group(expression.statement)}`;
+    case Expressions.Enter:
+    case Expressions.Exit:
+      return `${expression.constructor.name.toLowerCase()} ${expression.spaceId} do ${group(expression.statement)}`;
+    case Expressions.If:
+      return `if ${group(expression.condition)} then ${group(expression.statement)}`;
+    case Expressions.Unless:
+      return `unless ${group(expression.condition)} next ${group(expression.statement)}`;
+    case Expressions.When:
+    case Expressions.Whenever:
+    case Expressions.While:
+      return `${expression.constructor.name.toLowerCase()} ${group(expression.condition)} do ${group(expression.statement)}`;
+    case Expressions.Repeat:
+      return `repeat ${group(expression.statement)}`;
+    case Expressions.SequentialExecution:
+      return `next ${group(expression.statement)}`;
+    case Expressions.Procedure:
+      return expression.params.list.length ?
+        `${expression.name}(${expression.params.list.map(group).join(', ')})` : expression.name;
+    case Expressions.NamedParameter:
+      return `${expression.name}: ${group(expression.value)}`;
+    case Expressions.LogicalAnd:
+    case Expressions.PatternAnd:
+      return (expression.constraints || expression.patterns).map(group).join(' & ');
+    case Expressions.LogicalOr:
+    case Expressions.PatternOr:
+      return (expression.constraints || expression.patterns).map(group).join(' v ');
+    case Expressions.PatternConcatenation:
+      return expression.patterns.map(group).join(' . ');
+    case Expressions.PatternRepetition:
+      return `[${explicit(expression.pattern)}]*`;
+    case Expressions.MatchList:
+      return `{ ${Object.values(expression.list).map(match => `${match.name}: ${group(match.pattern)}`).join(', ')} }`;
+    default:
+      return expression.toString();
+  }
+}
+
+/**
+ * Returns whether the given [raw] code closes every bracket, string and block comment it opens
+ * @param {String} raw
+ * @returns {Boolean}
+ */
+function isComplete(raw) {
+  let depth = 0;
+  let i = 0;
+  while (i < raw.length) {
+    const character = raw[i];
+    if (character === '"' || character === "'") {
+      i += 1;
+      while (i < raw.length && raw[i] !== character) i += raw[i] === '\\' ? 2 : 1;
+      if (i >= raw.length) return false;
+    } else if (raw.startsWith('//', i)) {
+      const newLine = raw.indexOf('\n', i);
+      i = newLine === -1 ? raw.length : newLine;
+    } else if (raw.startsWith('/*', i)) {
+      const close = raw.indexOf('*/', i + 2);
+      if (close === -1) return false;
+      i = close + 1;
+    } else if ('([{'.includes(character)) {
+      depth += 1;
+    } else if (')]}'.includes(character)) {
+      depth -= 1;
+    }
+    i += 1;
+  }
+  return depth <= 0;
+}
+
+/**
+ * Returns the given [diagnostics] with an excerpt of their [source]
+ * @param {[Diagnostic]} diagnostics
+ * @param {Source} source
+ * @returns {String}
+ */
+function report(diagnostics, source) {
+  return diagnostics.map(({ code, message, range }) =>
+    `${range.start.line}:${range.start.column}: error ${code}: ${message}\n${source.excerpt(range)}\n`).join('');
+}
+
+/**
+ * Read-eval-print loop showing how SCULP code is parsed. Input is fed line by line, the code is
+ * parsed once its brackets are balanced and printed with explicit parentheses along with its
+ * syntax tree.
+ */
+class Repl {
+  /**
+   * @param {SculpParser} parser
+   * @param {Object.<String, Expression>=} inserts expressions to insert in placeholders, by name
+   */
+  constructor(parser, inserts = {}) {
+    this.parser = parser;
+    this.inserts = Object.assign({}, inserts);
+    /** @type {[Expression]} expressions parsed so far */
+    this.results = [];
+    /** @type {[String]} lines of the input waiting for its brackets to be closed */
+    this.buffer = [];
+    this.isClosed = false;
+  }
+
+  /**
+   * Prompt for the next line, which shows whether it continues the previous ones
+   * @returns {String}
+   */
+  get prompt() {
+    return this.buffer.length ? '... ' : 'sculp> ';
+  }
+
+  /**
+   * Feeds the given [line] of input
+   * @param {String} line
+   * @returns {String} output, empty if the input continues in the next line
+   */
+  feed(line) {
+    if (!this.buffer.length && !line.trim()) return '';
+    this.buffer.push(line);
+    const raw = this.buffer.join('\n');
+    if (!isComplete(raw)) return '';
+    this.buffer = [];
+    return raw.trim().startsWith(':') ? this.command(raw.trim()) : this.evaluate(raw);
+  }
+
+  /**
+   * Discards the lines waiting for their brackets to be closed
+   */
+  cancel() {
+    this.buffer = [];
+  }
+
+  /**
+   * Parses the given [raw] code and keeps the result
+   * @param {String} raw
+   * @returns {String} code with explicit parentheses and syntax tree of the result, or its errors
+   */
+  evaluate(raw) {
+    const { result, diagnostics, source } = this.parser.check(raw, this.inserts);
+    if (diagnostics.length) return report(diagnostics, source);
+    this.results.push(result);
+    this.inserts[this.results.length] = result;
+    this.inserts._ = result; // eslint-disable-line no-underscore-dangle
+    return `$${this.results.length} = ${isCompound(result) ? `(${explicit(result)})` : explicit(result)}\n` +
+      `${tree(result).join('\n')}\n`;
+  }
+
+  /**
+   * Runs the given REPL [command]
+   * @param {String} command line starting with a colon
+   * @returns {String} output of the command
+   */
+  command(command) {
+    const [, name, rest] = /^:(\w*)\s*([\s\S]*)$/.exec(command);
+    switch (name) {
+      case 'set': {
+        const [, insert, code] = /^([\w-]+)\s*=([\s\S]*)$/.exec(rest) || [];
+        if (!insert) return 'Invalid :set, expecting :set <name> = <code>.\n';
+        const { result, diagnostics, source } = this.parser.check(code, this.inserts);
+        if (diagnostics.length) return report(diagnostics, source);
+        this.inserts[insert] = result;
+        return `$${insert} = ${result}\n`;
+      }
+      case 'inserts':
+        return Object.keys(this.inserts).map(insert => `$${insert} = ${this.inserts[insert]}\n`).join('');
+      case 'help':
+        return help;
+      case 'quit':
+        this.isClosed = true;
+        return '';
+      default:
+        return `Unknown command ':${name}', enter :help to list the commands.\n`;
+    }
+  }
+}
+
+/**
+ * Runs the given [repl] reading lines from [input] and writing its output to [output]
+ * @param {Repl} repl
+ * @param {{input: stream.Readable, output: stream.Writable}} streams
+ * @returns {Promise} resolved when the input ends or the REPL is closed
+ */
+function start(repl, { input, output }) {
+  return new Promise((resolve) => {
+    const lines = readline.createInterface({ input, output, prompt: repl.prompt });
+    lines.on('line', (line) => {
+      // lines already read when the REPL was closed
+      if (repl.isClosed) return;
+      output.write(repl.feed(line));
+      if (repl.isClosed) {
+        lines.close();
+        return;
+      }
+      lines.setPrompt(repl.prompt);
+      lines.prompt();
+    });
+    lines.on('SIGINT', () => {
+      if (!repl.buffer.length) {
+        lines.close();
+        return;
+      }
+      repl.cancel();
+      output.write('\n');
+      lines.setPrompt(repl.prompt);
+      lines.prompt();
+    });
+    lines.on('close', resolve);
+    lines.prompt();
+  });
+}
+
+module.exports = {
+  Repl, start, explicit, isComplete,
+};
@@ -0,0 +1,110 @@
+/* global describe it expect */
+const { PassThrough } = require('stream');
+const { SculpParser, Expressions } = require('./index');
+const {
+  Repl, start, explicit, isComplete,
+} = require('./repl');
+
+const validSignatures = {
+  post: [Expressions.String],
+  clock: [],
+};
+
+describe('The SCULP REPL', () => {
+  const parser = new SculpParser(validSignatures);
+
+  it('should print the code with explicit parentheses', () => {
+    const code = [
+      'next skip || skip',
+      '(next skip) || skip',
+      'do (next post("a") || skip) until "a" . * v { pid: > 3 } & clock = 2',
+      'when {txt: ("a" & ("b" v "c"))} do repeat clock',
+    ];
+    expect(code.map(raw => explicit(parser.parse(raw)))).toEqual([
+      'next (skip || skip)',
+      '(next skip) || skip',
+      'do (next (post("a") || skip)) until (("a" . *) v ({ pid: > 3 } & (clock = 2)))',
+      'when { txt: ("a" & ("b" v "c")) } do (repeat clock)',
+    ]);
+    code.forEach((raw) => {
+      const result = parser.parse(raw);
+      expect(parser.parse(explicit(result)).equals(result)).toBe(true);
+    });
+  });
+
+  it('should know when brackets, strings and comments are not closed', () => {
+    expect(isComplete('post("a")')).toBe(true);
+    expect(isComplete('when {txt: "a"')).toBe(false);
+    expect(isComplete('post(")")')).toBe(true);
+    expect(isComplete('post(")')).toBe(false);
+    expect(isComplete('skip // (')).toBe(true);
+    expect(isComplete('skip /* ( */ || (')).toBe(false);
+    expect(isComplete('skip /* ')).toBe(false);
+  });
+
+  it('should print the parsed code and its syntax tree', () => {
+    const repl = new Repl(parser);
+    expect(repl.prompt).toBe('sculp> ');
+    expect(repl.feed('when {usr: "frank"} do (')).toBe('');
+    expect(repl.prompt).toBe('... ');
+    expect(repl.feed('  post("hi") || skip)')).toBe([
+      '$1 = (when { usr: "frank" } do (post("hi") || skip))',
+      'When',
+      '  condition: MatchList',
+      '    list["usr"]: Match name="usr"',
+      '      pattern: String value="frank"',
+      '  statement: ParallelExecution',
+      '    statements[0]: Procedure name="post"',
+      '      params: ParametersList',
+      '        list[0]: String value="hi"',
+      '    statements[1]: Skip',
+      '',
+    ].join('\n'));
+    expect(repl.prompt).toBe('sculp> ');
+    expect(repl.feed('')).toBe('');
+  });
+
+  it('should reuse prior results and inserts in placeholders', () => {
+    const repl = new Repl(parser, { greet: parser.parse('post("hi")') });
+    repl.feed('clock');
+    repl.feed('next $1');
+    expect(repl.feed(':set both = $_ || $greet')).toBe('$both = (next clock || post("hi"))\n');
+    expect(repl.feed('repeat $both').split('\n')[0]).toBe('$3 = (repeat ((next clock) || post("hi")))');
+    expect(repl.feed(':inserts')).toBe([
+      '$1 = clock',
+      '$2 = next clock',
+      '$3 = repeat (next clock || post("hi"))',
+      '$greet = post("hi")',
+      '$_ = repeat (next clock || post("hi"))',
+      '$both = (next clock || post("hi"))',
+      '',
+    ].join('\n'));
+  });
+
+  it('should report errors and unknown commands', () => {
+    const repl = new Repl(parser);
+    expect(repl.feed('post(*)')).toBe([
+      '1:6: error type-mismatch: Parameter at position 0 of post must be of type String instead of Pattern.',
+      '1 | post(*)',
+      '  |      ^',
+      '',
+    ].join('\n'));
+    expect(repl.results).toEqual([]);
+    expect(repl.feed('$missing')).toMatch(/^1:1: error unknown-placeholder: Insert for placeholder 'missing' not found\./);
+    expect(repl.feed(':set x')).toBe('Invalid :set, expecting :set <name> = <code>.\n');
+    expect(repl.feed(':run')).toBe("Unknown command ':run', enter :help to list the commands.\n");
+  });
+
+  it('should read lines from a stream until it ends or :quit is entered', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', (chunk) => { text += chunk; });
+    const repl = new Repl(parser);
+    const done = start(repl, { input, output });
+    input.end('skip\n:quit\nclock\n');
+    await done;
+    expect(repl.results.length).toBe(1);
+    expect(text).toBe('sculp> $1 = skip\nSkip\nsculp> ');
+  });
+});
@@ -0,0 +1,208 @@
+const { Expressions } = require('./index');
+
+/**
+ * Term of a procedure call: a template whose `$0`, `$1`, ... are replaced by the terms of the
+ * parameters and `$*` by all of them separated by commas, or a function returning the term from
+ * the terms of the parameters and the procedure itself
+ * @typedef {String|function([String], Expressions.Procedure): String} ProcedureTerm
+ */
+
+/**
+ * @typedef {Object} CompileOptions
+ * @property {function(Expressions.SpacePath, Expressions.SpacePath): (Number|String)=}
+ * resolveSpace returns the id of the space at the given normalized absolute path, called with
+ * the space where the path is written too. By default, spaces are numbered from 1 in the order
+ * they are found.
+ * @property {Object.<String, ProcedureTerm>=} procedures terms of the procedures by name, the
+ * rest are called as in SCULP
+ */
+
+/** @type {CompileOptions} */
+const defaultOptions = {
+  resolveSpace: undefined,
+  procedures: {},
+};
+
+/**
+ * Compiler of SCULP expressions into the terms of the SCCP/NTCC virtual machine. Every compound
+ * term is wrapped in parentheses, so the output does not depend on precedence rules.
+ *
+ * Backends for other targets can extend it and override the methods of the terms they change.
+ */
+class Compiler {
+  /**
+   * @param {CompileOptions=} options
+   */
+  constructor(options) {
+    this.options = Object.assign({}, defaultOptions, options);
+    /** @type {Map<String, Number>} ids given to spaces by the default resolver, by path */
+    this.spaceIds = new Map();
+    if (!this.options.resolveSpace) {
+      this.options.resolveSpace = (path) => {
+        const key = path.toString();
+        if (!this.spaceIds.has(key)) this.spaceIds.set(key, this.spaceIds.size + 1);
+        return this.spaceIds.get(key);
+      };
+    }
+  }
+
+  /**
+   * Compiles the given [statement] evaluated in the given [space], programs as the parallel
+   * composition of their statements
+   * @param {Expression} statement
+   * @param {Expressions.SpacePath} space normalized absolute path
+   * @returns {String}
+   * @throws {TypeError} if [statement] contains errors or unsupported expressions
+   */
+  statement(statement, space) {
+    switch (statement.constructor) {
+      case Expressions.Program: {
+        // the statements of a program run in parallel, with the definitions first as when loaded
+        const terms = statement.definitions.concat(statement.processes)
+          .map(item => this.statement(item, space));
+        if (terms.length < 2) return terms.length ? terms[0] : 'skip';
+        return `(${terms.join(' || ')})`;
+      }
+      case Expressions.Skip:
+        return 'skip';
+      case Expressions.Procedure:
+        return this.procedure(statement);
+      case Expressions.ParallelExecution:
+        return `(${statement.statements.map(branch => this.statement(branch, space)).join(' || ')})`;
+      case Expressions.Enter:
+      case Expressions.Exit: {
+        const path = statement.spaceId;
+        let id = path;
+        let inner = space;
+        if (path instanceof Expressions.SpacePath) {
+          inner = path.resolve(space);
+          id = this.options.resolveSpace(inner, space);
+          if (statement instanceof Expressions.Exit) {
+            inner = new Expressions.SpacePath('..').resolve(inner);
+          }
+        }
+        return `(${statement.constructor.name.toLowerCase()} ${id} do ${this.statement(statement.statement, inner)})`;
+      }
+      case Expressions.Define:
+        return `(def ${statement.name} as ${this.statement(statement.statement, space)})`;
+      case Expressions.If:
+        return `(if ${this.constraint(statement.condition)} then ${this.statement(statement.statement, space)})`;
+      case Expressions.Unless:
+        return `(unless ${this.constraint(statement.condition)} next ${this.statement(statement.statement, space)})`;
+      case Expressions.When:
+      case Expressions.Whenever:
+      case Expressions.While:
+        return `(${statement.constructor.name.toLowerCase()} ${this.constraint(statement.condition)} do ${this.statement(statement.statement, space)})`;
+      case Expressions.Until:
+        return `(do ${this.statement(statement.statement, space)} until ${this.constraint(statement.condition)})`;
+      case Expressions.Repeat:
+        return `(repeat ${this.statement(statement.statement, space)})`;
+      case Expressions.SequentialExecution:
+        return `(next ${this.statement(statement.statement, space)})`;
+      default:
+        return this.unsupported(statement);
+    }
+  }
+
+  /**
+   * Compiles the given [constraint]
+   * @param {Expression} constraint
+   * @returns {String}
+   */
+  constraint(constraint) {
+    if (constraint instanceof Expressions.Comparison) {
+      const { left, right } = constraint;
+      const { operator } = constraint.constructor;
+      return left ? `(${this.operand(left)} ${operator} ${this.operand(right)})` :
+        `(${operator} ${this.operand(right)})`;
+    }
+    switch (constraint.constructor) {
+      case Expressions.LogicalAnd:
+        return `(${constraint.constraints.map(operand => this.constraint(operand)).join(' & ')})`;
+      case Expressions.LogicalOr:
+        return `(${constraint.constraints.map(operand => this.constraint(operand)).join(' v ')})`;
+      case Expressions.MatchList:
+        return `{${Object.values(constraint.list).map(match => `${match.name}: ${this.constraint(match.pattern)}`).join(', ')}}`;
+      default:
+        return constraint instanceof Expressions.Pattern ?
+          this.pattern(constraint) : this.unsupported(constraint);
+    }
+  }
+
+  /**
+   * Compiles the given [pattern]
+   * @param {Expressions.Pattern} pattern
+   * @returns {String}
+   */
+  pattern(pattern) {
+    switch (pattern.constructor) {
+      case Expressions.PatternAnd:
+        return `(${pattern.patterns.map(operand => this.pattern(operand)).join(' & ')})`;
+      case Expressions.PatternOr:
+        return `(${pattern.patterns.map(operand => this.pattern(operand)).join(' v ')})`;
+      case Expressions.PatternConcatenation:
+        return pattern.patterns.map(operand => this.pattern(operand)).join(' . ');
+      case Expressions.PatternRepetition:
+        return `[${this.pattern(pattern.pattern)}]*`;
+      default:
+        return pattern.toString();
+    }
+  }
+
+  /**
+   * Compiles an operand of a comparison or a parameter of a procedure
+   * @param {Expression} operand
+   * @returns {String}
+   */
+  operand(operand) {
+    switch (operand.constructor) {
+      case Expressions.Number:
+      case Expressions.Identifier:
+        return operand.toString();
+      case Expressions.Procedure:
+        return this.procedure(operand);
+      default:
+        return this.constraint(operand);
+    }
+  }
+
+  /**
+   * Compiles the given [procedure] using its term in the procedures table, if any
+   * @param {Expressions.Procedure} procedure
+   * @returns {String}
+   */
+  procedure(procedure) {
+    const params = procedure.params.list.map(param => this.operand(param));
+    const term = this.options.procedures[procedure.name];
+    if (typeof term === 'function') return term(params, procedure);
+    if (typeof term === 'string') {
+      return term.replace(/\$(\d+|\*)/g, (placeholder, index) =>
+        (index === '*' ? params.join(', ') : params[index]));
+    }
+    return params.length ? `${procedure.name}(${params.join(', ')})` : procedure.name;
+  }
+
+  /**
+   * @param {Expression} expression
+   * @throws {TypeError} always
+   */
+  unsupported(expression) { // eslint-disable-line class-methods-use-this
+    if (expression instanceof Expressions.Error) {
+      throw new TypeError(`Cannot compile a program with errors: ${expression.diagnostic.message}`);
+    }
+    throw new TypeError(`Cannot compile ${expression.constructor.name} expressions.`);
+  }
+}
+
+/**
+ * Compiles the given [statement] into a term of the SCCP/NTCC virtual machine, evaluated in the
+ * own space of the agent
+ * @param {Expression} statement
+ * @param {CompileOptions=} options
+ * @returns {String}
+ */
+function compile(statement, options) {
+  return new Compiler(options).statement(statement, new Expressions.SpacePath('~'));
+}
+
+module.exports = { compile, Compiler, defaultOptions };
@@ -0,0 +1,78 @@
+/* global describe it expect */
+const { SculpParser, Expressions } = require('./index');
+const { compile, Compiler } = require('./sccp');
+
+const validSignatures = {
+  post: [Expressions.String],
+  signal: [Expressions.String],
+  rm: [Expressions.Pattern, Expressions.Pattern, Expressions.Pattern],
+  count: [Expressions.String],
+  clock: [],
+};
+
+describe('The SCCP compiler', () => {
+  const parser = new SculpParser(validSignatures);
+
+  it('should compile statements into fully grouped terms', () => {
+    const result = parser.parse('when {usr: "frank", txt: *."?"} do next post("hi") || repeat skip');
+    expect(compile(result))
+      .toBe('(when {usr: "frank", txt: * . "?"} do (next (post("hi") || (repeat skip))))');
+  });
+
+  it('should compile constraints and patterns', () => {
+    const result = parser.parse('whenever ["a"]* & ("b" v "c") v count("x") >= 2 do skip');
+    expect(compile(result))
+      .toBe('(whenever ((["a"]* & ("b" v "c")) v (count("x") >= 2)) do skip)');
+  });
+
+  it('should number the spaces found by default', () => {
+    const result = parser.parse('enter @ "clock" do (enter @ "tick" do skip || exit @ . do enter @ "clock" do skip)');
+    const compiler = new Compiler();
+    expect(compiler.statement(result, new Expressions.SpacePath('~')))
+      .toBe('(enter 1 do ((enter 2 do skip) || (exit 1 do (enter 1 do skip))))');
+    expect([...compiler.spaceIds.keys()]).toEqual(['@ ~/"clock"', '@ ~/"clock"/"tick"']);
+  });
+
+  it('should resolve spaces with the given resolver', () => {
+    const paths = [];
+    const result = parser.parse('enter @ "house"/"kitchen" do exit @ .. do skip');
+    const resolveSpace = (path, space) => {
+      paths.push([`${path}`, `${space}`]);
+      return 6;
+    };
+    expect(compile(result, { resolveSpace })).toBe('(enter 6 do (exit 6 do skip))');
+    expect(paths).toEqual([
+      ['@ ~/"house"/"kitchen"', '@ ~'],
+      ['@ ~/"house"', '@ ~/"house"/"kitchen"'],
+    ]);
+  });
+
+  it('should keep spaces already translated', () => {
+    const result = parser.parse('enter @ "clock" do skip');
+    result.spaceId = new Expressions.Number(6);
+    expect(compile(result)).toBe('(enter 6 do skip)');
+  });
+
+  it('should map procedures to terms', () => {
+    const result = parser.parse('post("a") || rm(*, "b", *) || clock');
+    const procedures = {
+      post: 'tell(msg($0))',
+      rm: params => `rm[${params.join(';')}]`,
+      clock: 'tick($*)',
+    };
+    expect(compile(result, { procedures })).toBe('(tell(msg("a")) || rm[*;"b";*] || tick())');
+  });
+
+  it('should compile programs with their definitions first', () => {
+    const program = parser.parseProgram('next clock\ndef "clock" as post("tick")\nclock');
+    expect(compile(program)).toBe('((def "clock" as post("tick")) || (next clock) || clock)');
+    expect(compile(parser.parseProgram('clock'))).toBe('clock');
+    expect(compile(parser.parseProgram(''))).toBe('skip');
+  });
+
+  it('should reject programs with errors', () => {
+    const { result } = parser.check('post(*)');
+    expect(() => compile(result))
+      .toThrow(new TypeError('Cannot compile a program with errors: Parameter at position 0 of post must be of type String instead of Pattern.'));
+  });
+});
@@ -1,5 +1,7 @@
-/* global describe it expect */
-const { SculpParser, Expressions } = require('./index');
+/* global describe it expect jest */
+const {
+  SculpParser, ParseContext, ParseCache, Template, Expressions, Tokens,
+} = require('./index');
 
 function patchPosts(procedure) {
   if (procedure.name === 'post') {
@@ -19,6 +21,9 @@ const validSignatures = {
   signal: [Expressions.String],
   post: [Expressions.String],
   rm: [Expressions.Pattern, Expressions.Pattern, Expressions.Pattern],
+  count: [Expressions.String],
+  delay: [Expressions.Number],
+  clock: [],
   abort: [],
 };
 
@@ -102,17 +107,946 @@ describe('The SCULP Parser', () => {
 
   it('should throw type error when the type of the parameter is not the expected', () => {
     expect(() => parser.parse('post(*)'))
-      .toThrow(new TypeError('Parameter at position 0 of post must be of type String instead of Pattern.'));
+      .toThrow(new TypeError([
+        'Parameter at position 0 of post must be of type String instead of Pattern. (line 1, column 6)',
+        '1 | post(*)',
+        '  |      ^',
+      ].join('\n')));
   });
 
   it('should throw reference error when a placeholder is set without its corresponding insert', () => {
     expect(() => parser.parse('post($message)', { text: new Expressions.String('Hi!') }))
-      .toThrow(new ReferenceError('Insert for placeholder \'message\' not found.'));
+      .toThrow(new ReferenceError([
+        'Insert for placeholder \'message\' not found. (line 1, column 6)',
+        '1 | post($message)',
+        '  |      ^^^^^^^^',
+      ].join('\n')));
   });
 
   it('should throw syntax error when a token is not recognized', () => {
     expect(() => parser.parse('test'))
-      .toThrow(new SyntaxError('Unknown token \'test\'.'));
+      .toThrow(new SyntaxError([
+        'Unknown token \'test\'. (line 1, column 1)',
+        '1 | test',
+        '  | ^^^^',
+      ].join('\n')));
+  });
+
+  it('should not recognize the properties of objects as tokens', () => {
+    ['constructor', '__proto__', 'toString'].forEach((symbol) => {
+      expect(() => parser.parse(symbol)).toThrow(`Unknown token '${symbol}'.`);
+      expect(parser.check(symbol).diagnostics.map(({ code }) => code)).toEqual(['unknown-token']);
+    });
+  });
+
+  it('should point to the line and column of the unexpected token', () => {
+    expect(() => parser.parse('if *\n  ) post("pass")'))
+      .toThrow(new SyntaxError([
+        'Unexpected RightParentheses token, expecting Then (line 2, column 3)',
+        '2 |   ) post("pass")',
+        '  |   ^',
+      ].join('\n')));
+  });
+
+  it('should keep the description and location of the error', () => {
+    try {
+      parser.parse('post("a", "b")');
+    } catch (error) {
+      expect(error.description).toBe('Procedure post requires 1 parameters instead of 2.');
+      expect(error.location).toEqual({
+        start: { offset: 0, line: 1, column: 1 },
+        end: { offset: 14, line: 1, column: 15 },
+      });
+    }
+    expect.assertions(2);
+  });
+
+  it('should locate tokens and expressions in the source', () => {
+    const result = parser.parse('skip ||\n  post("tick")');
+    const [, post] = result.statements;
+    expect(result.location.start).toEqual({ offset: 0, line: 1, column: 1 });
+    expect(post.location).toEqual({
+      start: { offset: 10, line: 2, column: 3 },
+      end: { offset: 22, line: 2, column: 15 },
+    });
+    expect(post.params.list[0].location.start).toEqual({ offset: 15, line: 2, column: 8 });
+  });
+
+  describe('when reading strings', () => {
+    it('should unescape escape sequences', () => {
+      const result = parser.parse('post("say \\"hi\\"\\n\\t\\\\ \\u{1F600}")');
+      expect(result.params.list[0].value).toBe('say "hi"\n\t\\ \u{1F600}');
+    });
+
+    it('should accept single quoted strings', () => {
+      const result = parser.parse('post(\'it\\\'s "quoted"\')');
+      expect(result.params.list[0].value).toBe('it\'s "quoted"');
+      expect(result.toString()).toBe('post("it\'s \\"quoted\\"")');
+    });
+
+    it('should escape the value when converted to string', () => {
+      const string = new Expressions.String('a "b"\n\\c\u0001');
+      expect(string.toString()).toBe('"a \\"b\\"\\n\\\\c\\u{1}"');
+      expect(parser.parse(`post(${string})`).params.list[0].value).toBe(string.value);
+    });
+
+    it('should throw syntax error on invalid escape sequences', () => {
+      expect(() => parser.parse('post("a\\q")'))
+        .toThrow(new SyntaxError([
+          'Invalid escape sequence \'\\q\' in string. (line 1, column 8)',
+          '1 | post("a\\q")',
+          '  |        ^^',
+        ].join('\n')));
+    });
+
+    it('should throw syntax error on unterminated strings pointing to their start', () => {
+      expect(() => parser.parse('post(\n"abc)'))
+        .toThrow(new SyntaxError([
+          'Unexpected EOF, unterminated string (line 2, column 1)',
+          '2 | "abc)',
+          '  | ^^^^^',
+        ].join('\n')));
+    });
+  });
+
+  describe('when reading comments', () => {
+    it('should ignore line and block comments', () => {
+      const result = parser.parse('// greeting\nwhen /* any */ * do post("hi") // done');
+      expect(result.toString()).toBe('when * do post("hi")');
+    });
+
+    it('should attach leading comments to the following expression', () => {
+      const result = parser.parse('// first\npost("a") ||\n/* second */ post(/* message */ "b")');
+      const [first, second] = result.statements;
+      expect(first.comments).toEqual([{
+        type: 'line',
+        value: ' first',
+        location: {
+          start: { offset: 0, line: 1, column: 1 },
+          end: { offset: 8, line: 1, column: 9 },
+        },
+      }]);
+      expect(second.comments.map(({ type, value }) => [type, value])).toEqual([['block', ' second ']]);
+      expect(second.params.list[0].comments[0].value).toBe(' message ');
+      expect(result.comments).toBeUndefined();
+    });
+
+    it('should keep comments preceding operators and keywords', () => {
+      const result = parser.parse('when * /* a */ do // b\n  skip');
+      expect(result.statement.comments.map(({ value }) => value)).toEqual([' a ', ' b']);
+    });
+
+    it('should preserve comments in JSON and ignore them in comparisons', () => {
+      const result = parser.parse('/* note */ skip');
+      expect(parser.fromJSON(JSON.stringify(result)).comments).toEqual(result.comments);
+      expect(result.clone().comments).toEqual(result.comments);
+      expect(result.equals(parser.parse('skip'))).toBe(true);
+    });
+
+    it('should throw syntax error on unterminated block comments', () => {
+      expect(() => parser.parse('skip /* never'))
+        .toThrow(new SyntaxError([
+          'Unexpected EOF, unterminated comment (line 1, column 6)',
+          '1 | skip /* never',
+          '  |      ^^^^^^^^',
+        ].join('\n')));
+    });
+  });
+
+  describe('when reading numbers and comparisons', () => {
+    it('should not read words starting with digits as numbers', () => {
+      expect(() => parser.parse('2fa')).toThrow('Unknown token \'2fa\'.');
+      expect(() => parser.parse('delay(1-2)')).toThrow('Unknown token \'1-2\'.');
+      const digits = new SculpParser({ '2fa': [] });
+      expect(digits.parse('2fa')).toBeInstanceOf(Expressions.Procedure);
+    });
+
+    it('should parse integer and decimal literals as numbers', () => {
+      const result = parser.parse('delay(10) || delay(-2.5)');
+      expect(result.statements.map(({ params }) => params.list[0])).toEqual([
+        expect.objectContaining({ value: 10 }),
+        expect.objectContaining({ value: -2.5 }),
+      ]);
+      expect(result.statements[0].params.list[0]).toBeInstanceOf(Expressions.Number);
+    });
+
+    it('should compare procedures and numbers', () => {
+      const result = parser.parse('when count("msg") >= 3 & clock = 5 do post("three")');
+      expect(result.toString()).toBe('when (count("msg") >= 3 & clock = 5) do post("three")');
+      expect(result.condition).toBeInstanceOf(Expressions.LogicalAnd);
+      expect(result.condition.constraints[0]).toBeInstanceOf(Expressions.GreaterOrEqual);
+      expect(result.condition.constraints[1]).toBeInstanceOf(Expressions.Equal);
+    });
+
+    it('should parse comparisons as the value of a match', () => {
+      const result = parser.parse('when {pid: > 10, usr: "a"} v clock != 1 do skip');
+      expect(result.toString()).toBe('when { pid: > 10, usr: "a" } v clock != 1 do skip');
+      const { pid } = result.condition.constraints[0].list;
+      expect(pid.pattern).toBeInstanceOf(Expressions.GreaterThan);
+      expect(pid.pattern.left).toBeNull();
+      expect(pid.pattern.right.value).toBe(10);
+      const { constraints } = parser.parse('if clock < 1 v clock <= 2 then skip').condition;
+      expect(constraints.map(constraint => constraint.constructor))
+        .toEqual([Expressions.LessThan, Expressions.LessOrEqual]);
+    });
+
+    it('should throw type error when a number is not expected', () => {
+      expect(() => parser.parse('post(3)'))
+        .toThrow(new TypeError([
+          'Parameter at position 0 of post must be of type String instead of Number. (line 1, column 6)',
+          '1 | post(3)',
+          '  |      ^',
+        ].join('\n')));
+    });
+
+    it('should throw syntax error when comparing patterns', () => {
+      expect(() => parser.parse('when clock > "a" do skip'))
+        .toThrow(new SyntaxError([
+          'Invalid comparison > with String, expecting Number, Procedure or Identifier (line 1, column 14)',
+          '1 | when clock > "a" do skip',
+          '  |              ^^^',
+        ].join('\n')));
+    });
+  });
+
+  describe('when extending the parser', () => {
+    class Every extends Expressions.Instruction {
+      static get fields() {
+        return ['period', 'statement'];
+      }
+      constructor(period, statement) {
+        super();
+        this.period = period;
+        this.statement = statement;
+      }
+      toString() {
+        return `every ${this.period} do ${this.statement}`;
+      }
+    }
+
+    function createParser() {
+      const extended = new SculpParser(validSignatures);
+      extended.defineExpression(Every);
+      extended.defineKeyword('every', {
+        bindingPower: 90,
+        nud() {
+          const period = this.parser.parseNextExpression(90, Expressions.Number);
+          this.parser.skipToken(this.parser.keywords.do);
+          const statement = this.parser.parseNextExpression(30, Expressions.Statement);
+          return new Every(period, statement);
+        },
+      });
+      extended.defineOperator('->', {
+        name: 'Then',
+        bindingPower: 20,
+        led(left) {
+          const right = this.parser.parseNextExpression(this.leftBindingPower);
+          const next = new Expressions.SequentialExecution(right);
+          return new Expressions.ParallelExecution(left, next);
+        },
+      });
+      return extended;
+    }
+
+    it('should parse the defined keywords and operators', () => {
+      const extended = createParser();
+      const result = extended.parse('EVERY 5 do post("tick") -> abort');
+      expect(result.toString()).toBe('(every 5 do post("tick") || next abort)');
+      expect(result.statements[0]).toBeInstanceOf(Every);
+      expect(result.statements[0].location.start.offset).toBe(0);
+    });
+
+    it('should not affect other parser instances', () => {
+      createParser();
+      expect(() => parser.parse('every 5 do skip')).toThrow(SyntaxError);
+      expect(parser.keywords.every).toBeUndefined();
+    });
+
+    it('should rebuild the defined expressions from JSON', () => {
+      const extended = createParser();
+      const result = extended.parse('every 3 do skip');
+      expect(extended.fromJSON(JSON.stringify(result))).toBeInstanceOf(Every);
+      expect(() => parser.fromJSON(JSON.stringify(result)))
+        .toThrow(new TypeError('Unknown expression type \'Every\'.'));
+    });
+
+    it('should use the name of the token in error messages', () => {
+      expect(() => createParser().parse('skip -> '))
+        .toThrow(new SyntaxError([
+          'Unexpected token EOF. (line 1, column 9)',
+          '1 | skip -> ',
+          '  |         ^',
+        ].join('\n')));
+      expect(() => createParser().parse('every 5 -> skip'))
+        .toThrow(/^Unexpected Then token, expecting Do/);
+    });
+
+    it('should detect conflicts', () => {
+      const extended = createParser();
+      expect(() => extended.defineKeyword('When', {}))
+        .toThrow(new TypeError('\'when\' conflicts with a built-in keyword.'));
+      expect(() => extended.defineKeyword('every', {}))
+        .toThrow(new TypeError('\'every\' is already defined.'));
+      expect(() => extended.defineKeyword('post', {}))
+        .toThrow(new TypeError('\'post\' conflicts with the procedure post.'));
+      expect(() => extended.defineOperator('||', {}))
+        .toThrow(new TypeError('\'||\' conflicts with a built-in keyword.'));
+      expect(() => extended.defineOperator('//', {})).toThrow(TypeError);
+      expect(() => extended.defineKeyword('a b', {})).toThrow(TypeError);
+      expect(() => extended.defineExpression(Every))
+        .toThrow(new TypeError('Expression Every is already defined.'));
+      expect(() => extended.defineExpression(class When extends Expressions.Instruction {}))
+        .toThrow(new TypeError('Expression When is already defined.'));
+    });
+  });
+
+  describe('when calling procedures with richer signatures', () => {
+    const rich = new SculpParser({
+      post: [
+        [Expressions.String, Expressions.Number],
+        { name: 'to', type: Expressions.Pattern, default: 'all' },
+      ],
+      send: [Expressions.String, { name: 'tags', type: Expressions.String, rest: true }],
+      tick: [{ name: 'times', type: Expressions.Number, default: 1 }],
+    });
+
+    it('should fill omitted optional parameters with their defaults', () => {
+      expect(rich.parse('post("hi")').toString()).toBe('post("hi", "all")');
+      expect(rich.parse('tick || tick(3)').toString()).toBe('(tick(1) || tick(3))');
+    });
+
+    it('should accept any type of a union', () => {
+      expect(rich.parse('post(42, *)').toString()).toBe('post(42, *)');
+      expect(() => rich.parse('post(*)'))
+        .toThrow('Parameter at position 0 of post must be of type String or Number instead of Pattern.');
+    });
+
+    it('should collect the remaining parameters in the rest parameter', () => {
+      expect(rich.parse('send("a")').params.list.length).toBe(1);
+      expect(rich.parse('send("a", "b", "c")').toString()).toBe('send("a", "b", "c")');
+      expect(() => rich.parse('send()'))
+        .toThrow('Procedure send requires at least 1 parameters instead of 0.');
+    });
+
+    it('should place named parameters by their name', () => {
+      expect(rich.parse('post(to: "x", "hi")').toString()).toBe('post("hi", "x")');
+      expect(rich.parse('tick(times: 2)').toString()).toBe('tick(2)');
+    });
+
+    it('should not give parameters after an omitted one without default', () => {
+      const optional = new SculpParser({
+        f: [
+          { name: 'a', type: Expressions.String, optional: true },
+          { name: 'b', type: Expressions.Number, optional: true },
+        ],
+      });
+      expect(() => optional.parse('f(b: 3)')).toThrow(new SyntaxError([
+        'Parameter b of f cannot be given without parameter a, which has no default value. (line 1, column 6)',
+        '1 | f(b: 3)',
+        '  |      ^',
+      ].join('\n')));
+      expect(optional.check('f(b: 3)').diagnostics.map(({ code }) => code))
+        .toEqual(['missing-parameter']);
+      ['f', 'f("x")', 'f(b: 3, a: "x")'].forEach((raw) => {
+        const result = optional.parse(raw);
+        expect(optional.parse(result.toString()).equals(result)).toBe(true);
+        expect(optional.fromJSON(result.toJSON()).equals(result)).toBe(true);
+      });
+    });
+
+    it('should report mismatches of named parameters', () => {
+      const codes = raw => rich.check(raw).diagnostics.map(({ code }) => code);
+      expect(codes('post("hi", from: "x")')).toEqual(['unknown-parameter']);
+      expect(codes('post(to: "x", to: "y", "hi")')).toEqual(['duplicate-parameter']);
+      expect(codes('post("a", "b", "c")')).toEqual(['arity-mismatch']);
+      expect(() => rich.parse('tick(times: "2")'))
+        .toThrow('Parameter times of tick must be of type Number instead of String.');
+      expect(() => rich.parse('post("a", "b", "c")'))
+        .toThrow('Procedure post requires between 1 and 2 parameters instead of 3.');
+    });
+
+    it('should reject invalid signatures', () => {
+      const rest = { type: Expressions.String, rest: true };
+      const optional = { type: Expressions.String, optional: true };
+      expect(() => new SculpParser({ f: [rest, Expressions.String] }))
+        .toThrow(new TypeError('Rest parameter 0 of f must be the last one.'));
+      expect(() => new SculpParser({ f: [optional, Expressions.String] }))
+        .toThrow(new TypeError('Required parameter 1 of f cannot follow optional parameters.'));
+      expect(() => new SculpParser({ f: [{ type: Expressions.Number, default: 'x' }] }))
+        .toThrow(new TypeError('Invalid default value of parameter 0 of f.'));
+    });
+
+    it('should validate procedures read from JSON', () => {
+      const json = rich.parse('post("hi")').toJSON();
+      expect(rich.fromJSON(json).equals(rich.parse('post("hi", "all")'))).toBe(true);
+      json.params.list.push({ type: 'String', value: 'extra' });
+      expect(() => rich.fromJSON(json))
+        .toThrow('Procedure post requires between 1 and 2 parameters instead of 3.');
+    });
+  });
+
+  describe('when matching message fields', () => {
+    const scheduled = new SculpParser(validSignatures, {
+      matchFields: {
+        txt: {},
+        usr: { aliases: ['user', 'from'] },
+        ts: { type: Expressions.Comparison },
+        channel: { type: Expressions.String },
+      },
+    });
+
+    it('should keep the fields in the order they are written', () => {
+      expect(parser.parse('when {usr: "a", pid: "b", txt: *} do skip').toString())
+        .toBe('when { usr: "a", pid: "b", txt: * } do skip');
+    });
+
+    it('should accept the fields of the schema and name matches after them', () => {
+      const result = scheduled.parse('when {from: "frank", ts: > 100, channel: "news"} do skip');
+      expect(Object.keys(result.condition.list)).toEqual(['usr', 'ts', 'channel']);
+      expect(result.toString()).toBe('when { usr: "frank", ts: > 100, channel: "news" } do skip');
+    });
+
+    it('should read the fields in any case like the keywords', () => {
+      expect(parser.parse('WHEN {TXT: "a", Usr: "b"} do skip').toString())
+        .toBe('when { txt: "a", usr: "b" } do skip');
+      expect(scheduled.parse('when {From: "frank"} do skip').toString())
+        .toBe('when { usr: "frank" } do skip');
+      expect(() => new SculpParser(validSignatures, { matchFields: { a: {}, b: { aliases: ['A'] } } }))
+        .toThrow(new TypeError('Field \'A\' is defined more than once.'));
+    });
+
+    it('should read the default fields with their own tokens', () => {
+      const context = new ParseContext(parser, '');
+      expect(context.createToken('txt')).toBeInstanceOf(Tokens.Operators.MatchBody);
+      expect(context.createToken('PID')).toBeInstanceOf(Tokens.Operators.MatchPID);
+      expect(context.createToken('usr')).toBeInstanceOf(Tokens.MatchField);
+      expect(scheduled.parse('when {user: "a"} do skip').condition.list.usr.pattern.value).toBe('a');
+    });
+
+    it('should check the type of the values', () => {
+      expect(() => scheduled.parse('when {ts: "yesterday"} do skip'))
+        .toThrow('Expecting Comparison but found String.');
+    });
+
+    it('should report unknown and duplicate fields', () => {
+      expect(() => scheduled.parse('when {pid: "x"} do skip'))
+        .toThrow(new SyntaxError([
+          'Unknown field pid, expecting txt, usr, user, from, ts, channel. (line 1, column 7)',
+          '1 | when {pid: "x"} do skip',
+          '  |       ^^^^^^^^',
+        ].join('\n')));
+      const { diagnostics } = scheduled.check('when {usr: "a", user: "b"} do skip');
+      expect(diagnostics.map(({ code, range }) => [code, range.start.column]))
+        .toEqual([['duplicate-field', 17]]);
+    });
+
+    it('should reject invalid schemas', () => {
+      expect(() => new SculpParser(validSignatures, { matchFields: { do: {} } }))
+        .toThrow(new TypeError('Field \'do\' conflicts with a keyword or procedure.'));
+      expect(() => new SculpParser(validSignatures, { matchFields: { a: {}, b: { aliases: ['a'] } } }))
+        .toThrow(new TypeError('Field \'a\' is defined more than once.'));
+      expect(() => scheduled.defineKeyword('channel', {}))
+        .toThrow(new TypeError('\'channel\' conflicts with the field channel.'));
+    });
+
+    it('should check the fields of matches read from JSON', () => {
+      const json = parser.parse('when {pid: "x"} do skip').toJSON();
+      expect(() => scheduled.fromJSON(json)).toThrow(new ReferenceError('Unknown field \'pid\'.'));
+      json.condition.list.push(json.condition.list[0]);
+      expect(() => parser.fromJSON(json))
+        .toThrow(new TypeError('Duplicate field \'pid\' in MatchList.'));
+    });
+  });
+
+  describe('when reading space paths', () => {
+    it('should read the segments of hierarchical and relative paths', () => {
+      const result = parser.parse('enter @ ~/"house"/"kitchen" do exit @ ../. do skip');
+      expect(result.spaceId.segments.map(String)).toEqual(['~', '"house"', '"kitchen"']);
+      expect(result.statement.spaceId.segments).toEqual(['..', '.']);
+      expect(result.toString()).toBe('enter @ ~/"house"/"kitchen" do exit @ ../. do skip');
+    });
+
+    it('should keep the path of spaces named by a single segment', () => {
+      const { spaceId } = parser.parse('enter @ "house" do skip');
+      expect(spaceId.path).toBeInstanceOf(Expressions.String);
+      expect(spaceId.path.value).toBe('house');
+      expect(parser.parse('exit @ ../. do skip').spaceId.path).toEqual(['..', '.']);
+    });
+
+    it('should only accept ~ as the first segment', () => {
+      expect(() => parser.parse('enter @ "a"/~ do skip'))
+        .toThrow(new SyntaxError([
+          'Unexpected token ~. (line 1, column 13)',
+          '1 | enter @ "a"/~ do skip',
+          '  |             ^',
+        ].join('\n')));
+    });
+
+    it('should normalize and resolve paths', () => {
+      const path = parser.parse('enter @ "a"/./"b"/../.. /../"c" do skip').spaceId;
+      expect(path.normalize().toString()).toBe('@ ../"c"');
+      expect(path.resolve(parser.parse('enter @ ~/"x"/"y" do skip').spaceId).toString())
+        .toBe('@ ~/"x"/"c"');
+      expect(parser.parse('enter @ "a"/.. do skip').spaceId.normalize().toString()).toBe('@ .');
+    });
+
+    it('should resolve the spaces of enter and exit while walking the tree', () => {
+      const result = parser.parse('enter @ "house" do (post("a") || enter @ "kitchen" do exit @ .. do signal("b"))');
+      const spaces = {};
+      Expressions.SpacePath.traverse(result, (expression, space) => {
+        if (expression instanceof Expressions.Procedure) spaces[expression.name] = `${space}`;
+        if (expression instanceof Expressions.SpacePath) spaces[expression] = `${space}`;
+      });
+      expect(spaces).toEqual({
+        '@ "house"': '@ ~',
+        post: '@ ~/"house"',
+        '@ "kitchen"': '@ ~/"house"',
+        '@ ..': '@ ~/"house"/"kitchen"',
+        signal: '@ ~',
+      });
+    });
+  });
+
+  describe('when matching patterns', () => {
+    const pattern = raw => parser.parse(`when ${raw} do skip`).condition;
+
+    it('should parse concatenations and repetitions into pattern expressions', () => {
+      const result = pattern('* . "stop!" . ["a" v "b"]*');
+      expect(result).toBeInstanceOf(Expressions.PatternConcatenation);
+      expect(result.patterns.length).toBe(3);
+      expect(result.patterns[2]).toBeInstanceOf(Expressions.PatternRepetition);
+      expect(result.toString()).toBe('* . "stop!" . ["a" v "b"]*');
+    });
+
+    it('should match whole texts', () => {
+      const matches = pattern('* . "stop!" . *').compile();
+      expect(matches('please stop! now')).toBe(true);
+      expect(matches('stop!')).toBe(true);
+      expect(matches('please stop')).toBe(false);
+      expect(pattern('"a"').compile()('ab')).toBe(false);
+      expect(pattern('*').compile()('')).toBe(true);
+    });
+
+    it('should match alternations, conjunctions and repetitions', () => {
+      const alternation = pattern('"a" v "b"').compile();
+      expect([alternation('a'), alternation('b'), alternation('ab')]).toEqual([true, true, false]);
+      const repetition = pattern('["a" v "b"]* . "!"').compile();
+      expect(['!', 'abba!', 'abc!'].map(repetition)).toEqual([true, true, false]);
+      const conjunction = pattern('("a" . *) & (* . "z")').compile();
+      expect(['a to z', 'a to y', 'az'].map(conjunction)).toEqual([true, false, true]);
+      const nested = pattern('* . ((* . "b" . *) & "bc") . "!"').compile();
+      expect(['abc!', 'ab!'].map(nested)).toEqual([true, false]);
+    });
+
+    it('should convert patterns to regular expressions', () => {
+      expect(pattern('* . "a.b" . ["x" v "y"]*').toRegExp())
+        .toEqual(/^(?:[\s\S]*a\.b(?:(?:x|y))*)$/);
+      const conjunction = pattern('("a" . *) & (* . "z")').toRegExp();
+      expect(['a to z', 'a to y'].map(text => conjunction.test(text))).toEqual([true, false]);
+      expect(() => pattern('* . ("a" & *)').toRegExp())
+        .toThrow(new TypeError('Conjunctions can only be converted to a regular expression at the top level.'));
+    });
+  });
+
+  describe('when evaluating constraints', () => {
+    const condition = raw => parser.parse(`when ${raw} do skip`).condition;
+    const store = [
+      { txt: 'hello world', usr: 'frank', pid: 3 },
+      { txt: 'stop!', usr: 'ana', pid: 12 },
+      { usr: 'bot', pid: 20 },
+    ];
+
+    it('should match patterns against the text of the messages', () => {
+      expect(condition('"stop!"').isEntailedBy(store)).toEqual({ holds: true, witnesses: [store[1]] });
+      expect(condition('*').isEntailedBy(store).witnesses).toEqual([store[0], store[1]]);
+      expect(condition('"bot"').isEntailedBy(store, { textField: 'usr' }).witnesses).toEqual([store[2]]);
+    });
+
+    it('should match every field of a match list in the same message', () => {
+      expect(condition('{usr: "frank", pid: < 10}').isEntailedBy(store).witnesses).toEqual([store[0]]);
+      expect(condition('{usr: "ana", pid: < 10}').isEntailedBy(store)).toEqual({ holds: false, witnesses: [] });
+      expect(condition('{pid: >= 12}').isEntailedBy(store).witnesses).toEqual([store[1], store[2]]);
+    });
+
+    it('should combine conjunctions and disjunctions', () => {
+      const both = condition('{usr: "frank"} & "stop!"').isEntailedBy(store);
+      expect(both).toEqual({ holds: true, witnesses: [store[0], store[1]] });
+      expect(condition('{usr: "frank"} & "nope"').isEntailedBy(store).holds).toBe(false);
+      const either = condition('"nope" v {usr: "bot"}').isEntailedBy(store);
+      expect(either).toEqual({ holds: true, witnesses: [store[2]] });
+    });
+
+    it('should evaluate compared procedures with the given function', () => {
+      const evaluate = procedure =>
+        store.filter(({ usr }) => usr === procedure.params.list[0].value).length;
+      expect(condition('count("frank") >= 1').isEntailedBy(store, { evaluate }).holds).toBe(true);
+      expect(condition('count("bob") = 1 v count("ana") != 0').isEntailedBy(store, { evaluate }))
+        .toEqual({ holds: true, witnesses: [] });
+      expect(() => condition('count("frank") >= 1').isEntailedBy(store))
+        .toThrow(new TypeError('Cannot evaluate count("frank") without an evaluate option.'));
+    });
+  });
+
+  describe('when checking a program', () => {
+    it('should return the result and no diagnostics for valid programs', () => {
+      const { result, diagnostics } = parser.check('skip || post("tick")');
+      expect(result.toString()).toBe('(skip || post("tick"))');
+      expect(diagnostics).toEqual([]);
+    });
+
+    it('should report every error instead of throwing on the first', () => {
+      const { result, diagnostics } = parser.check('post(*) || rm(*) || test');
+      expect(result.toString()).toBe('(<error> || <error> || <error>)');
+      expect(diagnostics.map(({ code, range }) => [code, range.start.column]))
+        .toEqual([['type-mismatch', 6], ['arity-mismatch', 12], ['unknown-token', 21]]);
+    });
+
+    it('should resynchronize at statement boundaries', () => {
+      const { result, diagnostics } = parser.check('if then post("a") || when "b" skip do skip');
+      expect(result.toString()).toBe('(if <error> then post("a") || when "b" do skip)');
+      expect(diagnostics).toEqual([
+        expect.objectContaining({ severity: 'error', code: 'unexpected-token', message: 'Unexpected token then.' }),
+        expect.objectContaining({ severity: 'error', code: 'unexpected-token', message: 'Unexpected token skip.' }),
+      ]);
+    });
+
+    it('should insert error nodes in the tree', () => {
+      const { result, diagnostics } = parser.check('enter @ "clock" do post(*)');
+      expect(result.statement).toBeInstanceOf(Expressions.Error);
+      expect(result.statement.diagnostic).toBe(diagnostics[0]);
+      expect(diagnostics[0].range).toEqual({
+        start: { offset: 24, line: 1, column: 25 },
+        end: { offset: 25, line: 1, column: 26 },
+      });
+    });
+
+    it('should not affect the following parses', () => {
+      parser.check('post(*)');
+      expect(() => parser.parse('post(*)')).toThrow(TypeError);
+    });
+  });
+
+  describe('when parsing program files', () => {
+    it('should separate statements by new lines or semicolons', () => {
+      const program = parser.parseProgram([
+        'def "clock" as post("tick")',
+        '// main process',
+        'when {usr: "frank"} do abort',
+        '  || clock; skip',
+        '',
+        'clock',
+        '(skip || abort)',
+      ].join('\n'));
+      expect(program).toBeInstanceOf(Expressions.Program);
+      expect(program.statements.map(String)).toEqual([
+        'def "clock" as post("tick")',
+        '(when { usr: "frank" } do abort || clock)',
+        'skip',
+        'clock',
+        '(skip || abort)',
+      ]);
+      expect(program.statements[1].statements[0].comments)
+        .toEqual([expect.objectContaining({ value: ' main process' })]);
+      expect(program.definitions).toEqual([program.statements[0]]);
+      expect(program.processes).toEqual(program.statements.slice(1));
+    });
+
+    it('should throw on code following a statement in the same line', () => {
+      expect(() => parser.parseProgram('skip; post("a") clock')).toThrow(new SyntaxError([
+        'Unexpected token clock, expecting ; or a new line. (line 1, column 17)',
+        '1 | skip; post("a") clock',
+        '  |                 ^^^^^',
+      ].join('\n')));
+      expect(() => parser.parseProgram('skip\n"a"')).toThrow('Expecting Statement but found String.');
+      expect(parser.parseProgram(' ; ').statements).toEqual([]);
+    });
+
+    it('should report the errors of every statement', () => {
+      const { result, diagnostics } = parser.checkProgram('post(*)\n) skip\nclock abort; skip');
+      expect(result.toString()).toBe('<error>\n<error>\nskip\nclock\nskip');
+      expect(diagnostics.map(({ code, range }) => [code, range.start.line, range.start.column]))
+        .toEqual([['type-mismatch', 1, 6], ['unexpected-token', 2, 1], ['unexpected-token', 3, 7]]);
+    });
+
+    it('should keep single statements working as before', () => {
+      expect(() => parser.parse('clock\n(skip)')).toThrow('Procedure clock requires 0 parameters instead of 1.');
+      expect(parser.parseProgram('clock\n(skip)').toString()).toBe('clock\nskip');
+    });
+  });
+
+  /* eslint-disable no-template-curly-in-string */
+  describe('when compiling templates', () => {
+    const names = placeholders => placeholders.map(({ name, types }) =>
+      `${name}: ${types.map(type => type.name).join(' | ')}`);
+
+    it('should list the placeholders with the types expected by their context', () => {
+      const template = parser.compileTemplate('when {usr: $user} do (rm($text . "?", *, *) || post("Hi ${user}!") || $reply)');
+      expect(template).toBeInstanceOf(Template);
+      expect(names(template.placeholders)).toEqual([
+        'user: String',
+        'text: Pattern',
+        'reply: Statement',
+      ]);
+      expect(template.placeholders[0].location.start).toEqual({ offset: 11, line: 1, column: 12 });
+      expect(template.toString()).toBe('when { usr: $user } do (rm($text . "?", *, *) || post("Hi ${user}!") || $reply)');
+      expect(names(parser.compileTemplate('$a; delay($n)', { program: true }).placeholders))
+        .toEqual(['a: Statement', 'n: Number']);
+    });
+
+    it('should instantiate the same code as parsing it with the inserts', () => {
+      const raw = 'when {usr: $user} do (rm($text . "?", *, *) || post($text) || $reply)';
+      const template = parser.compileTemplate(raw);
+      [['frank', 'hi'], ['jason', 'bye']].forEach(([user, text]) => {
+        const inserts = { user, text, reply: parser.parse('abort') };
+        const result = template.instantiate(inserts);
+        expect(result.equals(parser.parse(raw, inserts))).toBe(true);
+        expect(result.condition.list.usr.pattern.location)
+          .toEqual(parser.parse(raw, inserts).condition.list.usr.pattern.location);
+      });
+      expect(template.instantiate({ user: 'a', text: 'b', reply: parser.parse('abort') }).toString())
+        .toBe('when { usr: "a" } do (rm("b" . "?", *, *) || post("b") || abort)');
+    });
+
+    it('should interpolate strings and numbers in strings', () => {
+      const template = parser.compileTemplate('post("${user} has ${count} messages, \\${not} one")');
+      expect(names(template.placeholders)).toEqual(['user: String | Number', 'count: String | Number']);
+      const result = template.instantiate({ user: new Expressions.String('frank'), count: 3 });
+      expect(result.params.list[0]).toBeInstanceOf(Expressions.String);
+      expect(result.params.list[0].value).toBe('frank has 3 messages, ${not} one');
+      expect(parser.parse('post("${user}")').params.list[0].value).toBe('${user}');
+      expect(() => parser.compileTemplate('post("${}")')).toThrow('Invalid placeholder in string');
+    });
+
+    it('should validate the inserts before instantiating', () => {
+      const template = parser.compileTemplate('post($message) || delay($seconds)');
+      expect(template.validate({ message: 'hi', seconds: 2 })).toEqual({
+        message: new Expressions.String('hi'),
+        seconds: new Expressions.Number(2),
+      });
+      expect(() => template.instantiate({ message: 'hi' })).toThrow(new ReferenceError([
+        'Insert for placeholder \'seconds\' not found. (line 1, column 25)',
+        '1 | post($message) || delay($seconds)',
+        '  |                         ^^^^^^^^',
+      ].join('\n')));
+      expect(() => template.instantiate({ message: 1, seconds: 2 }))
+        .toThrow('Insert for placeholder \'message\' must be of type String instead of Number.');
+      expect(() => template.instantiate({ message: 'hi', seconds: null }))
+        .toThrow('Invalid insert for placeholder \'seconds\', expecting an Expression, a string or a number.');
+    });
+
+    it('should throw when a placeholder cannot be of any type', () => {
+      expect(() => parser.compileTemplate('post($a) || delay($a)'))
+        .toThrow('Placeholder \'a\' cannot be of type String and Number at once.');
+      expect(() => parser.compileTemplate('post($a . "b")'))
+        .toThrow('Parameter at position 0 of post must be of type String instead of PatternConcatenation.');
+      expect(() => parser.compileTemplate('when count($a) > $a do skip'))
+        .toThrow('Placeholder \'a\' cannot be of type String and Number or Procedure or Identifier at once.');
+    });
+
+    it('should expect statements where the code runs', () => {
+      ['$x', 'next $x', 'when * do $x'].forEach((raw) => {
+        const template = parser.compileTemplate(raw);
+        expect(names(template.placeholders)).toEqual(['x: Statement']);
+        expect(() => template.instantiate({ x: 'a' }))
+          .toThrow('Insert for placeholder \'x\' must be of type Statement instead of String.');
+        expect(template.instantiate({ x: parser.parse('clock') }).toString())
+          .toBe(raw.replace('$x', 'clock'));
+      });
+      expect(() => parser.compileTemplate('"a"')).toThrow('Unexpected token String, expecting Statement');
+      expect(parser.parse('"a"')).toBeInstanceOf(Expressions.String);
+    });
+
+    it('should infer the kind of conjunctions from their other operand', () => {
+      const template = parser.compileTemplate('when {txt: ($a & "b")} & $c do skip');
+      expect(template.tree.condition).toBeInstanceOf(Expressions.LogicalAnd);
+      expect(names(template.placeholders)).toEqual(['a: Pattern', 'c: Constraint']);
+      const result = template.instantiate({ a: '*', c: parser.parse('when {usr: "x"} do skip').condition });
+      expect(result.condition.constraints[0].list.txt.pattern)
+        .toBeInstanceOf(Expressions.PatternAnd);
+      expect(result.toString()).toBe('when ({ txt: ("*" & "b") } & { usr: "x" }) do skip');
+    });
+  });
+  /* eslint-enable no-template-curly-in-string */
+
+  describe('when parsing several codes at once', () => {
+    it('should let keywords parse other code with the same parser', () => {
+      const shared = new SculpParser(validSignatures);
+      const snippets = { tick: 'post("tick") || clock', stop: 'abort' };
+      shared.defineKeyword('include', {
+        bindingPower: 90,
+        nud() {
+          const name = this.parser.parseNextExpression(90, Expressions.String);
+          return shared.parse(snippets[name.value]);
+        },
+      });
+      const result = shared.parseProgram('include "tick"\nskip || include "stop"\nclock');
+      expect(result.toString()).toBe('(post("tick") || clock)\n(skip || abort)\nclock');
+      expect(shared.check('include "stop" ||').diagnostics.map(({ code }) => code))
+        .toEqual(['unexpected-token']);
+    });
+
+    it('should interleave the parsing of templates and programs', () => {
+      const extended = new SculpParser(validSignatures);
+      extended.defineKeyword('say', {
+        bindingPower: 90,
+        nud() {
+          const text = this.parser.parseNextExpression(90, Expressions.String);
+          return extended.compileTemplate('notify($a)').instantiate({ a: text });
+        },
+      });
+      expect(extended.parse('say "hi" || say "bye"').toString())
+        .toBe('(notify("hi") || notify("bye"))');
+    });
+  });
+
+  describe('when caching the results', () => {
+    it('should parse the same code once', () => {
+      const cache = new ParseCache(2);
+      const cached = new SculpParser(validSignatures, { cache });
+      const first = cached.parse('post("a") || clock');
+      expect(cached.parse('post("a") || clock')).toBe(first);
+      expect(cache.entries.size).toBe(1);
+      const checked = cached.check('post(*)');
+      expect(cached.check('post(*)')).toBe(checked);
+      expect(cache.entries.size).toBe(2);
+    });
+
+    it('should share frozen results', () => {
+      const cached = new SculpParser(validSignatures, { cache: 1 });
+      const { result, diagnostics } = cached.checkProgram('post("a")\npost(*)');
+      expect(Object.isFrozen(result.statements[0].params.list[0])).toBe(true);
+      expect(Object.isFrozen(diagnostics[0].range.start)).toBe(true);
+      const copy = result.clone();
+      copy.statements[0].params.list[0].value = 'b';
+      expect(copy.toString()).toBe('post("b")\n<error>');
+    });
+
+    it('should not parse the code again nor recompute the language on hits', () => {
+      const cached = new SculpParser(validSignatures, { cache: 1 });
+      const parseProgram = jest.spyOn(ParseContext.prototype, 'parseProgram');
+      try {
+        const raw = 'when {usr: "a"} do post("b")';
+        const first = cached.parseProgram(raw);
+        const { language } = cached;
+        expect(cached.parseProgram(raw)).toBe(first);
+        expect(parseProgram).toHaveBeenCalledTimes(1);
+        expect(cached.language).toBe(language);
+      } finally {
+        parseProgram.mockRestore();
+      }
+    });
+
+    it('should evict the least recently used results', () => {
+      const cached = new SculpParser(validSignatures, { cache: 2 });
+      ['skip', 'clock', 'skip', 'abort'].forEach(raw => cached.parse(raw));
+      expect(Array.from(cached.cache.entries.keys(), key => key.split('\n').pop()))
+        .toEqual(['skip', 'abort']);
+      expect(() => new ParseCache(0)).toThrow('Invalid cache size 0, expecting a positive integer.');
+    });
+
+    it('should key the results by the signatures of the parser', () => {
+      const cache = new ParseCache();
+      const withClock = new SculpParser({ clock: [] }, { cache });
+      const withoutClock = new SculpParser({ post: [Expressions.String] }, { cache });
+      expect(withClock.parse('clock').toString()).toBe('clock');
+      expect(() => withoutClock.parse('clock')).toThrow('Unknown token \'clock\'.');
+      withoutClock.validSignatures.clock = [Expressions.Number];
+      expect(withoutClock.parse('clock')).toBeInstanceOf(Expressions.Identifier);
+      expect(cache.entries.size).toBe(2);
+      withoutClock.validSignatures.post = [Expressions.Number];
+      expect(() => withoutClock.parse('post("a")')).toThrow('must be of type Number instead of String.');
+      withoutClock.defineKeyword('tick', { nud: () => new Expressions.Skip() });
+      expect(withoutClock.parse('tick')).toBeInstanceOf(Expressions.Skip);
+      expect(cache.entries.size).toBe(3);
+      expect(withClock.parse('$a', { a: 'b' }).toString()).toBe('"b"');
+      expect(cache.entries.size).toBe(3);
+    });
+  });
+
+  describe('when serializing to JSON', () => {
+    const programs = [
+      'when {usr:"frank", txt:*."?"} do post("Hi Frank!") || abort',
+      'def "clear" as rm(*,*,*)',
+      'do post("a") until ["a" v "b"]*',
+      'unless * & "a" v {pid: "x"} next enter @ "clock" do next repeat skip',
+    ];
+
+    programs.forEach((program) => {
+      it(`should round-trip ${program}`, () => {
+        const result = parser.parse(program);
+        const restored = parser.fromJSON(JSON.stringify(result));
+        expect(restored.toString()).toBe(result.toString());
+        expect(restored.constructor).toBe(result.constructor);
+      });
+    });
+
+    it('should produce a versioned JSON with a type discriminator', () => {
+      const json = parser.parse('repeat post("tick")').toJSON();
+      expect(json).toEqual(expect.objectContaining({ version: 1, type: 'Repeat' }));
+      expect(json.statement).toEqual(expect.objectContaining({ type: 'Procedure', name: 'post' }));
+      expect(json.statement.version).toBeUndefined();
+    });
+
+    it('should rebuild instances of the expression classes', () => {
+      const restored = Expressions.fromJSON(parser.parse('when {usr: "a"} do skip').toJSON());
+      expect(restored).toBeInstanceOf(Expressions.When);
+      expect(restored.condition.list.usr).toBeInstanceOf(Expressions.Match);
+      expect(restored.condition.list.usr.pattern).toBeInstanceOf(Expressions.String);
+    });
+
+    it('should validate procedures against the valid signatures', () => {
+      const json = parser.parse('post("a")').toJSON();
+      json.params.list[0] = { type: 'Pattern', value: '*' };
+      expect(() => parser.fromJSON(json))
+        .toThrow(new TypeError('Parameter at position 0 of post must be of type String instead of Pattern.'));
+      expect(() => new SculpParser({}).fromJSON(json))
+        .toThrow(new ReferenceError('Unknown procedure \'post\'.'));
+    });
+
+    it('should reject unknown types and versions', () => {
+      expect(() => Expressions.fromJSON({ type: 'Loop' }))
+        .toThrow(new TypeError('Unknown expression type \'Loop\'.'));
+      expect(() => Expressions.fromJSON({ version: 2, type: 'Skip' }))
+        .toThrow(new TypeError('Unsupported JSON version 2, expecting 1.'));
+    });
+  });
+
+  describe('when comparing and copying expressions', () => {
+    it('should compare expressions structurally ignoring their location', () => {
+      const a = parser.parse('when {usr: "a", txt: *} do post("b")');
+      const b = parser.parse('when  { txt : * , usr : "a" }\ndo post( "b" )');
+      expect(a.equals(b)).toBe(true);
+      expect(a.hash()).toBe(b.hash());
+      expect(a.equals(parser.parse('when {usr: "a", txt: *} do post("c")'))).toBe(false);
+      expect(a.hash()).not.toBe(parser.parse('when {usr: "a", txt: *} do post("c")').hash());
+    });
+
+    it('should distinguish expressions of different classes', () => {
+      expect(new Expressions.String('*').equals(new Expressions.Pattern('*'))).toBe(false);
+      expect(new Expressions.String('*').hash()).not.toBe(new Expressions.Pattern('*').hash());
+    });
+
+    it('should deep clone expressions', () => {
+      const result = parser.parse('enter @ "clock" do post("tick") || skip');
+      const copy = result.clone();
+      expect(copy).not.toBe(result);
+      expect(copy).toBeInstanceOf(Expressions.ParallelExecution);
+      expect(copy.equals(result)).toBe(true);
+      expect(copy.location).toEqual(result.location);
+      copy.applyTo(Expressions.Procedure, patchPosts);
+      expect(result.toString()).toBe('(enter @ "clock" do post("tick") || skip)');
+      expect(copy.toString()).toBe('(enter @ "clock" do post("patched tick") || skip)');
+    });
+
+    it('should insert an independent copy of the insert in each placeholder', () => {
+      const message = new Expressions.String('Hello!');
+      const result = parser.parse('post($message) || post($message)', { message });
+      const [first, second] = result.statements;
+      expect(first.params.list[0]).not.toBe(second.params.list[0]);
+      patchPosts(first);
+      expect(result.toString()).toBe('(post("patched Hello!") || post("Hello!"))');
+      expect(message.value).toBe('Hello!');
+    });
   });
 
   describe('when the translation is done', () => {
@@ -0,0 +1,187 @@
+const { Expression } = require('./index');
+
+/**
+ * Hooks called while visiting a tree of expressions. `enter` is called before visiting the
+ * children of an expression and `leave` after it. Hooks for a type of expression are given under
+ * the name of its class or of any of its superclasses, either as an object with `enter` and
+ * `leave` hooks or as a function, which is taken as the `enter` hook, e.g.
+ * `{ Procedure(path) { ... }, Statement: { leave(path) { ... } } }`
+ * @typedef {Object} Visitor
+ * @property {function(NodePath)=} enter called for every expression
+ * @property {function(NodePath)=} leave called for every expression
+ */
+
+/**
+ * Position of an expression in the visited tree, given to the hooks of a Visitor
+ */
+class NodePath {
+  /**
+   * @param {Expression} node
+   * @param {NodePath=} parentPath path of the parent expression, undefined for the root
+   * @param {String=} field field of the parent holding the expression
+   * @param {Number|String=} key index or key of the expression in the field, if it is a list or
+   * an object
+   */
+  constructor(node, parentPath, field, key) {
+    this.node = node;
+    this.parentPath = parentPath;
+    this.field = field;
+    this.key = key;
+    this.isRemoved = false;
+    this.isSkipped = false;
+  }
+
+  /**
+   * Parent expression, undefined for the root
+   * @returns {Expression=}
+   */
+  get parent() {
+    return this.parentPath && this.parentPath.node;
+  }
+
+  /**
+   * Fields and keys leading from the root to the expression, e.g. `['statements', 1, 'condition']`
+   * @returns {[String|Number]}
+   */
+  get path() {
+    if (!this.parentPath) return [];
+    const path = this.parentPath.path.concat(this.field);
+    return this.key === undefined ? path : path.concat(this.key);
+  }
+
+  /**
+   * Puts the given [node] in place of the expression. When called on enter, the children of
+   * [node] are visited instead.
+   * @param {Expression} node
+   * @throws {TypeError} if [node] is not an expression or the expression was removed
+   */
+  replace(node) {
+    if (!(node instanceof Expression)) throw new TypeError('Expressions can only be replaced by expressions.');
+    if (this.isRemoved) throw new TypeError('Cannot replace a removed expression.');
+    if (this.parentPath) {
+      if (this.key === undefined) this.parent[this.field] = node;
+      else this.parent[this.field][this.key] = node;
+    }
+    this.node = node;
+  }
+
+  /**
+   * Removes the expression from the list or object holding it, its children are not visited
+   * @throws {TypeError} if the expression is the root or the only value of a field
+   */
+  remove() {
+    if (this.isRemoved) return;
+    if (this.key === undefined) {
+      const owner = this.parent ? `the ${this.field} of ${this.parent.constructor.name}` : 'the root';
+      throw new TypeError(`Cannot remove ${owner}, replace it instead.`);
+    }
+    const container = this.parent[this.field];
+    if (container instanceof Array) container.splice(this.key, 1);
+    else delete container[this.key];
+    this.isRemoved = true;
+  }
+
+  /**
+   * Stops the children of the expression from being visited, when called on enter
+   */
+  skip() {
+    this.isSkipped = true;
+  }
+}
+
+/**
+ * Returns the hooks of the [visitor] for the given [phase] applying to [node], the generic one
+ * first and then from the most specific type to the most general
+ * @param {Visitor} visitor
+ * @param {Expression} node
+ * @param {String} phase 'enter' or 'leave'
+ * @returns {[function(NodePath)]}
+ */
+function hooksOf(visitor, node, phase) {
+  const hooks = [visitor[phase]];
+  for (
+    let ExpressionClass = node.constructor;
+    ExpressionClass !== Expression;
+    ExpressionClass = Object.getPrototypeOf(ExpressionClass)
+  ) {
+    const hook = visitor[ExpressionClass.name];
+    if (typeof hook === 'function') {
+      if (phase === 'enter') hooks.push(hook);
+    } else if (hook) {
+      hooks.push(hook[phase]);
+    }
+  }
+  return hooks.filter(hook => typeof hook === 'function');
+}
+
+/**
+ * Calls the hooks of [visitor] for the given [phase] until the expression is removed
+ * @param {Visitor} visitor
+ * @param {NodePath} path
+ * @param {String} phase
+ */
+function callHooks(visitor, path, phase) {
+  hooksOf(visitor, path.node, phase).some((hook) => {
+    hook.call(visitor, path);
+    return path.isRemoved;
+  });
+}
+
+/**
+ * Visits the expression at the given [path] and its children
+ * @param {Visitor} visitor
+ * @param {NodePath} path
+ */
+function visitPath(visitor, path) {
+  callHooks(visitor, path, 'enter');
+  if (path.isRemoved) return;
+  if (!path.isSkipped) {
+    const { node } = path;
+    node.constructor.children.forEach((field) => {
+      const value = node[field];
+      if (value instanceof Expression) {
+        visitPath(visitor, new NodePath(value, path, field));
+      } else if (value instanceof Array) {
+        let i = 0;
+        while (i < value.length) {
+          const child = value[i] instanceof Expression && new NodePath(value[i], path, field, i);
+          if (child) visitPath(visitor, child);
+          if (!child || !child.isRemoved) i += 1;
+        }
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach((key) => {
+          if (value[key] instanceof Expression) {
+            visitPath(visitor, new NodePath(value[key], path, field, key));
+          }
+        });
+      }
+    });
+  }
+  callHooks(visitor, path, 'leave');
+}
+
+/**
+ * Visits the given [root] expression and its descendants depth first, in the order of their
+ * fields, calling the hooks of [visitor]. The tree is modified in place by the operations of the
+ * NodePath given to the hooks.
+ * @param {Expression} root
+ * @param {Visitor} visitor
+ * @returns {Expression} the root, or the expression that replaced it
+ */
+function visit(root, visitor) {
+  const path = new NodePath(root);
+  visitPath(visitor, path);
+  return path.node;
+}
+
+/**
+ * Visits a copy of the given [root] expression as `visit`, leaving [root] untouched
+ * @param {Expression} root
+ * @param {Visitor} visitor
+ * @returns {Expression} the transformed copy
+ */
+function transform(root, visitor) {
+  return visit(root.clone(), visitor);
+}
+
+module.exports = { visit, transform, NodePath };
@@ -0,0 +1,79 @@
+/* global describe it expect */
+const { SculpParser, Expressions } = require('./index');
+const { visit, transform } = require('./visitor');
+
+const validSignatures = {
+  post: [Expressions.String],
+  signal: [Expressions.String],
+  clock: [],
+};
+
+describe('The SCULP visitor', () => {
+  const parser = new SculpParser(validSignatures);
+
+  it('should call enter and leave hooks in depth first order', () => {
+    const calls = [];
+    visit(parser.parse('when * do post("a") || skip'), {
+      enter(path) { calls.push(`enter ${path.node.constructor.name}`); },
+      leave(path) { calls.push(`leave ${path.node.constructor.name}`); },
+    });
+    expect(calls).toEqual([
+      'enter ParallelExecution',
+      'enter When', 'enter Pattern', 'leave Pattern',
+      'enter Procedure', 'enter ParametersList', 'enter String', 'leave String',
+      'leave ParametersList', 'leave Procedure', 'leave When',
+      'enter Skip', 'leave Skip',
+      'leave ParallelExecution',
+    ]);
+  });
+
+  it('should call the hooks of the type of the node and its superclasses', () => {
+    const calls = [];
+    visit(parser.parse('next post("a")'), {
+      Procedure(path) { calls.push(`procedure ${path.node.name}`); },
+      Statement: { leave(path) { calls.push(`statement ${path.node.constructor.name}`); } },
+    });
+    expect(calls).toEqual(['procedure post', 'statement Procedure', 'statement SequentialExecution']);
+  });
+
+  it('should give the parent and the path of every node', () => {
+    const paths = [];
+    visit(parser.parse('skip || when {txt: "a"} do skip'), {
+      Pattern(path) { paths.push([path.parent.constructor.name, path.path]); },
+    });
+    expect(paths).toEqual([['Match', ['statements', 1, 'condition', 'list', 'txt', 'pattern']]]);
+  });
+
+  it('should replace, remove and skip nodes', () => {
+    const result = visit(parser.parse('post("a") || signal("b") || (repeat post("c")) || clock'), {
+      Procedure(path) {
+        if (path.node.name === 'signal') path.remove();
+        else if (path.node.name === 'clock') path.replace(new Expressions.Skip());
+      },
+      Repeat(path) { path.skip(); },
+      String(path) { path.replace(new Expressions.String(`${path.node.value}!`)); },
+    });
+    expect(result.toString()).toBe('(post("a!") || repeat post("c") || skip)');
+  });
+
+  it('should replace the root', () => {
+    const result = visit(parser.parse('skip'), {
+      Skip: { leave(path) { path.replace(new Expressions.Repeat(path.node)); } },
+    });
+    expect(result.toString()).toBe('repeat skip');
+  });
+
+  it('should not remove required children', () => {
+    expect(() => visit(parser.parse('repeat skip'), { Skip(path) { path.remove(); } }))
+      .toThrow(new TypeError('Cannot remove the statement of Repeat, replace it instead.'));
+  });
+
+  it('should transform a copy of the tree', () => {
+    const original = parser.parse('post("a") || post("b")');
+    const result = transform(original, {
+      String(path) { path.replace(new Expressions.String(path.node.value.toUpperCase())); },
+    });
+    expect(result.toString()).toBe('(post("A") || post("B"))');
+    expect(original.toString()).toBe('(post("a") || post("b"))');
+  });
+});